@@ -51,12 +51,16 @@ fi
 echo "5. Copying zkey files to build directory..."
 cp keys/zklogin_mys_final.zkey build/
 
+# Export the verification key served by GET /circuit/vkey
+./node_modules/.bin/snarkjs zkey export verificationkey build/zklogin_mys_final.zkey build/verification_key.json
+
 # 6. Verify all required files exist
 echo "6. Verifying build files..."
 REQUIRED_FILES=(
     "build/zklogin_mys_js/zklogin_mys.wasm"
     "build/zklogin_mys_js/witness_calculator.js"
     "build/zklogin_mys_final.zkey"
+    "build/verification_key.json"
     "build/zklogin_mys.r1cs"
 )
 
@@ -0,0 +1,70 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+
+// Value (0-63) of a base64url character; in must be one of [A-Za-z0-9-_]
+template Base64URLCharValue() {
+    signal input in;
+    signal output out;
+    signal output bits[6]; // Bits of out, least significant first
+
+    var value;
+    if (in == 95) {
+        value = 63;
+    } else if (in == 45) {
+        value = 62;
+    } else if (in >= 97) {
+        value = in - 71;
+    } else if (in >= 65) {
+        value = in - 65;
+    } else {
+        value = in + 4;
+    }
+    out <-- value;
+
+    component outBits = Num2Bits(6);
+    outBits.in <== out;
+    for (var i = 0; i < 6; i++) {
+        bits[i] <== outBits.out[i];
+    }
+
+    component atLeast26 = GreaterEqThan(6);
+    atLeast26.in[0] <== out;
+    atLeast26.in[1] <== 26;
+    component atLeast52 = GreaterEqThan(6);
+    atLeast52.in[0] <== out;
+    atLeast52.in[1] <== 52;
+    component atLeast62 = GreaterEqThan(6);
+    atLeast62.in[0] <== out;
+    atLeast62.in[1] <== 62;
+    signal is63 <== atLeast62.out * outBits.out[0];
+
+    // A-Z = 65 + v, a-z = 71 + v, 0-9 = v - 4, '-' = 45, '_' = 95
+    in === 65 + out + 6 * atLeast26.out - 75 * atLeast52.out - 13 * atLeast62.out + 49 * is63;
+}
+
+// Decode numChars base64url characters (no '=' padding) into bytes.
+// Trailing bits that do not fill a whole byte are dropped.
+template Base64URLDecode(numChars) {
+    var numBytes = numChars * 6 \ 8;
+
+    signal input in[numChars];
+    signal output out[numBytes];
+
+    component values[numChars];
+    for (var i = 0; i < numChars; i++) {
+        values[i] = Base64URLCharValue();
+        values[i].in <== in[i];
+    }
+
+    // Bit t of the decoded stream (most significant first) is bit 5 - (t % 6) of character t / 6
+    for (var j = 0; j < numBytes; j++) {
+        var byte = 0;
+        for (var t = 0; t < 8; t++) {
+            var streamBit = j * 8 + t;
+            byte += values[streamBit \ 6].bits[5 - streamBit % 6] * (1 << (7 - t));
+        }
+        out[j] <== byte;
+    }
+}
@@ -0,0 +1,209 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+
+// Big integers are represented as k little-endian limbs of n bits each
+// (limb 0 holds the least significant n bits). Witness helpers below work on
+// fixed 100-element var arrays because circom functions cannot size arrays
+// from their parameters, so k must stay below 50.
+
+// Number of bits needed to represent a
+function bigint_bit_length(a) {
+    var value = a;
+    var bits = 0;
+    while (value > 0) {
+        bits++;
+        value \= 2;
+    }
+    return bits;
+}
+
+// Schoolbook product of two k-limb numbers as 2k normalized limbs
+function bigint_mul(n, k, a, b) {
+    var base = 1 << n;
+    var coefficients[100];
+    for (var i = 0; i < 2 * k; i++) {
+        coefficients[i] = 0;
+    }
+    for (var i = 0; i < k; i++) {
+        for (var j = 0; j < k; j++) {
+            coefficients[i + j] += a[i] * b[j];
+        }
+    }
+
+    var out[100];
+    var carry = 0;
+    for (var i = 0; i < 2 * k; i++) {
+        var value = coefficients[i] + carry;
+        out[i] = value % base;
+        carry = value \ base;
+    }
+    return out;
+}
+
+// Long division (Knuth algorithm D) of a (k + m limbs) by b (k limbs).
+// Requires k >= 2 and a normalized divisor (top bit of b[k - 1] set), which
+// always holds for full-size RSA moduli. Returns [quotient, remainder].
+function bigint_long_div(n, k, m, a, b) {
+    var base = 1 << n;
+
+    var u[100];
+    for (var i = 0; i < k + m; i++) {
+        u[i] = a[i];
+    }
+    u[k + m] = 0;
+
+    var out[2][100];
+    for (var j = m; j >= 0; j--) {
+        // Estimate the quotient limb from the top two limbs of the window
+        var numerator = u[j + k] * base + u[j + k - 1];
+        var qhat = numerator \ b[k - 1];
+        var rhat = numerator % b[k - 1];
+        var settled = 0;
+        while (settled == 0) {
+            if (qhat >= base || qhat * b[k - 2] > rhat * base + u[j + k - 2]) {
+                qhat -= 1;
+                rhat += b[k - 1];
+                if (rhat >= base) {
+                    settled = 1;
+                }
+            } else {
+                settled = 1;
+            }
+        }
+
+        // Multiply and subtract qhat * b from the current window
+        var carry = 0;
+        var borrow = 0;
+        for (var i = 0; i < k; i++) {
+            var product = qhat * b[i] + carry;
+            carry = product \ base;
+            var subtrahend = product % base + borrow;
+            if (u[i + j] >= subtrahend) {
+                u[i + j] = u[i + j] - subtrahend;
+                borrow = 0;
+            } else {
+                u[i + j] = u[i + j] + base - subtrahend;
+                borrow = 1;
+            }
+        }
+        var negative = 0;
+        if (u[j + k] >= carry + borrow) {
+            u[j + k] = u[j + k] - carry - borrow;
+        } else {
+            u[j + k] = u[j + k] + base - carry - borrow;
+            negative = 1;
+        }
+
+        // qhat was one too large: add the divisor back
+        if (negative == 1) {
+            qhat -= 1;
+            var addCarry = 0;
+            for (var i = 0; i < k; i++) {
+                var sum = u[i + j] + b[i] + addCarry;
+                u[i + j] = sum % base;
+                addCarry = sum \ base;
+            }
+            u[j + k] = (u[j + k] + addCarry) % base;
+        }
+
+        out[0][j] = qhat;
+    }
+
+    for (var i = 0; i < k; i++) {
+        out[1][i] = u[i];
+    }
+    return out;
+}
+
+// out = a * b mod p for k-limb numbers.
+// The caller must range check a, b and p limbs to n bits; q and out are
+// range checked here. The identity a * b = q * p + out is enforced by
+// checking the product polynomials at 2k - 1 points and then propagating
+// signed carries between coefficients.
+template BigMultModP(n, k) {
+    signal input a[k];
+    signal input b[k];
+    signal input p[k];
+    signal output out[k];
+
+    var base = 1 << n;
+
+    // Witness: quotient and remainder
+    var product[100] = bigint_mul(n, k, a, b);
+    var division[2][100] = bigint_long_div(n, k, k, product, p);
+
+    signal q[k];
+    component qRange[k];
+    component outRange[k];
+    for (var i = 0; i < k; i++) {
+        q[i] <-- division[0][i];
+        out[i] <-- division[1][i];
+
+        qRange[i] = Num2Bits(n);
+        qRange[i].in <== q[i];
+        outRange[i] = Num2Bits(n);
+        outRange[i].in <== out[i];
+    }
+
+    // Coefficients of the polynomial products a(x)b(x) and q(x)p(x)
+    signal abCoefficients[2 * k - 1];
+    signal qpCoefficients[2 * k - 1];
+    for (var t = 0; t < 2 * k - 1; t++) {
+        var abSum = 0;
+        var qpSum = 0;
+        for (var i = 0; i < k; i++) {
+            if (t - i >= 0 && t - i < k) {
+                abSum += a[i] * b[t - i];
+                qpSum += q[i] * p[t - i];
+            }
+        }
+        abCoefficients[t] <-- abSum;
+        qpCoefficients[t] <-- qpSum;
+    }
+
+    // A degree 2k - 2 polynomial is fixed by its values at 2k - 1 points
+    for (var x = 0; x < 2 * k - 1; x++) {
+        var aEval = 0;
+        var bEval = 0;
+        var qEval = 0;
+        var pEval = 0;
+        var abEval = 0;
+        var qpEval = 0;
+        var power = 1;
+        for (var i = 0; i < 2 * k - 1; i++) {
+            if (i < k) {
+                aEval += a[i] * power;
+                bEval += b[i] * power;
+                qEval += q[i] * power;
+                pEval += p[i] * power;
+            }
+            abEval += abCoefficients[i] * power;
+            qpEval += qpCoefficients[i] * power;
+            power *= x;
+        }
+        abEval === aEval * bEval;
+        qpEval === qEval * pEval;
+    }
+
+    // Carry propagation: sum((ab[t] - qp[t] - out[t]) * 2^(n*t)) == 0.
+    // Coefficients are below k * 2^(2n), so carries stay below 2k * 2^n.
+    var carryBits = n + bigint_bit_length(k) + 2;
+    signal carry[2 * k - 2];
+    component carryRange[2 * k - 2];
+    for (var t = 0; t < 2 * k - 2; t++) {
+        var difference = abCoefficients[t] - qpCoefficients[t];
+        if (t < k) {
+            difference -= out[t];
+        }
+        if (t > 0) {
+            difference += carry[t - 1];
+        }
+        carry[t] <-- difference < 0 ? -((-difference) \ base) : difference \ base;
+        carry[t] * base === difference;
+
+        carryRange[t] = Num2Bits(carryBits);
+        carryRange[t].in <== carry[t] + (1 << (carryBits - 1));
+    }
+    abCoefficients[2 * k - 2] - qpCoefficients[2 * k - 2] + carry[2 * k - 3] === 0;
+}
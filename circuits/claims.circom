@@ -0,0 +1,202 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "./base64.circom";
+include "./strings.circom";
+
+// Extract claimLength decoded payload bytes starting at claimIndex.
+// The payload is the base64url segment of content starting at payloadStart.
+// Only the 4-character groups covering the claim are decoded, and the claim
+// must end within the bytes fully determined by the payload characters.
+template ClaimExtractor(maxJwtLength, maxClaimLength) {
+    signal input content[maxJwtLength]; // header.payload bytes (signed)
+    signal input payloadStart;          // Index of the first payload character
+    signal input payloadLength;         // Payload length in base64url characters
+    signal input claimIndex;            // Byte offset of the claim in the decoded payload
+    signal input claimLength;           // Claim length in bytes
+    signal output claim[maxClaimLength];
+
+    var lengthBits = bigint_bit_length(maxJwtLength) + 2;
+
+    // claimIndex = 3 * group + remainder with remainder in {0, 1, 2}
+    signal group;
+    signal remainder;
+    group <-- claimIndex \ 3;
+    remainder <-- claimIndex % 3;
+    claimIndex === 3 * group + remainder;
+    component groupRange = Num2Bits(lengthBits);
+    groupRange.in <== group;
+    component remainderRange = LessThan(2);
+    remainderRange.in[0] <== remainder;
+    remainderRange.in[1] <== 3;
+    remainderRange.out === 1;
+
+    // The claim must lie within floor(3 * payloadLength / 4) decoded bytes
+    component claimLengthBits = Num2Bits(lengthBits);
+    claimLengthBits.in <== claimLength;
+    component claimLengthRange = LessEqThan(lengthBits);
+    claimLengthRange.in[0] <== claimLength;
+    claimLengthRange.in[1] <== maxClaimLength;
+    claimLengthRange.out === 1;
+    component withinPayload = LessEqThan(lengthBits + 4);
+    withinPayload.in[0] <== 4 * (claimIndex + claimLength);
+    withinPayload.in[1] <== 3 * payloadLength;
+    withinPayload.out === 1;
+
+    // Base64url characters covering the claim, starting on a group boundary
+    var numChars = 4 * ((maxClaimLength + 2 + 2) \ 3);
+    component chars = SliceFromOffset(maxJwtLength, numChars);
+    for (var i = 0; i < maxJwtLength; i++) {
+        chars.in[i] <== content[i];
+    }
+    chars.offset <== payloadStart + 4 * group;
+
+    // Characters past the payload decode as 'A' (zero bits)
+    component inPayload = LengthMask(numChars);
+    inPayload.length <== payloadLength - 4 * group;
+    component decoder = Base64URLDecode(numChars);
+    for (var i = 0; i < numChars; i++) {
+        decoder.in[i] <== inPayload.mask[i] * (chars.out[i] - 65) + 65;
+    }
+
+    // Skip the bytes of the first group that precede the claim
+    var numBytes = numChars * 3 \ 4;
+    component aligned = SliceFromOffset(numBytes, maxClaimLength);
+    for (var i = 0; i < numBytes; i++) {
+        aligned.in[i] <== decoder.out[i];
+    }
+    aligned.offset <== remainder;
+
+    for (var i = 0; i < maxClaimLength; i++) {
+        claim[i] <== aligned.out[i];
+    }
+}
+
+// Parse a compact JSON string claim: a ',' or '{' delimiter, "key":"value",
+// then a ',' or '}' terminator. The key must equal the zero-padded key input.
+// Values may not contain '"' or '\' so the closing quote is unambiguous.
+// Outputs the value zero-padded to maxValueLength.
+template JsonStringClaim(maxClaimLength, maxKeyLength, maxValueLength) {
+    signal input claim[maxClaimLength];
+    signal input claimLength;
+    signal input key[maxKeyLength];
+    signal input keyLength;
+    signal output value[maxValueLength];
+    signal output valueLength;
+
+    assert(maxClaimLength >= maxKeyLength + maxValueLength + 7);
+    var lengthBits = bigint_bit_length(maxClaimLength) + 1;
+
+    // Delimiter before the opening quote of the key
+    (claim[0] - 44) * (claim[0] - 123) === 0;
+    claim[1] === 34;
+
+    // Key bytes
+    component keyLengthBits = Num2Bits(lengthBits);
+    keyLengthBits.in <== keyLength;
+    component keyLengthRange = LessEqThan(lengthBits);
+    keyLengthRange.in[0] <== keyLength;
+    keyLengthRange.in[1] <== maxKeyLength;
+    keyLengthRange.out === 1;
+    component keyMask = LengthMask(maxKeyLength);
+    keyMask.length <== keyLength;
+    for (var i = 0; i < maxKeyLength; i++) {
+        keyMask.mask[i] * (claim[2 + i] - key[i]) === 0;
+        (1 - keyMask.mask[i]) * key[i] === 0;
+    }
+
+    // Structural characters at variable positions
+    component closingKeyQuote = ArrayAt(maxClaimLength);
+    component colon = ArrayAt(maxClaimLength);
+    component openingValueQuote = ArrayAt(maxClaimLength);
+    component closingValueQuote = ArrayAt(maxClaimLength);
+    component terminator = ArrayAt(maxClaimLength);
+    for (var i = 0; i < maxClaimLength; i++) {
+        closingKeyQuote.in[i] <== claim[i];
+        colon.in[i] <== claim[i];
+        openingValueQuote.in[i] <== claim[i];
+        closingValueQuote.in[i] <== claim[i];
+        terminator.in[i] <== claim[i];
+    }
+    closingKeyQuote.index <== keyLength + 2;
+    colon.index <== keyLength + 3;
+    openingValueQuote.index <== keyLength + 4;
+    closingValueQuote.index <== claimLength - 2;
+    terminator.index <== claimLength - 1;
+    closingKeyQuote.out === 34;
+    colon.out === 58;
+    openingValueQuote.out === 34;
+    closingValueQuote.out === 34;
+    (terminator.out - 44) * (terminator.out - 125) === 0;
+
+    // Value bytes
+    valueLength <== claimLength - keyLength - 7;
+    component valueLengthBits = Num2Bits(lengthBits);
+    valueLengthBits.in <== valueLength;
+    component valueLengthRange = LessEqThan(lengthBits);
+    valueLengthRange.in[0] <== valueLength;
+    valueLengthRange.in[1] <== maxValueLength;
+    valueLengthRange.out === 1;
+
+    component rawValue = SliceFromOffset(maxClaimLength, maxValueLength);
+    for (var i = 0; i < maxClaimLength; i++) {
+        rawValue.in[i] <== claim[i];
+    }
+    rawValue.offset <== keyLength + 5;
+
+    component valueMask = LengthMask(maxValueLength);
+    valueMask.length <== valueLength;
+    component isQuote[maxValueLength];
+    component isBackslash[maxValueLength];
+    for (var i = 0; i < maxValueLength; i++) {
+        value[i] <== valueMask.mask[i] * rawValue.out[i];
+
+        isQuote[i] = IsEqual();
+        isQuote[i].in[0] <== value[i];
+        isQuote[i].in[1] <== 34;
+        isBackslash[i] = IsEqual();
+        isBackslash[i].in[0] <== value[i];
+        isBackslash[i].in[1] <== 92;
+        isQuote[i].out + isBackslash[i].out === 0;
+    }
+}
+
+// Locate, decode and parse one JSON string claim of the JWT payload
+template JwtStringClaim(maxJwtLength, maxKeyLength, maxValueLength) {
+    var maxClaimLength = maxKeyLength + maxValueLength + 7;
+
+    signal input content[maxJwtLength];
+    signal input payloadStart;
+    signal input payloadLength;
+    signal input claimIndex;
+    signal input claimLength;
+    signal input key[maxKeyLength];
+    signal input keyLength;
+    signal output value[maxValueLength];
+    signal output valueLength;
+
+    component extractor = ClaimExtractor(maxJwtLength, maxClaimLength);
+    for (var i = 0; i < maxJwtLength; i++) {
+        extractor.content[i] <== content[i];
+    }
+    extractor.payloadStart <== payloadStart;
+    extractor.payloadLength <== payloadLength;
+    extractor.claimIndex <== claimIndex;
+    extractor.claimLength <== claimLength;
+
+    component parser = JsonStringClaim(maxClaimLength, maxKeyLength, maxValueLength);
+    for (var i = 0; i < maxClaimLength; i++) {
+        parser.claim[i] <== extractor.claim[i];
+    }
+    parser.claimLength <== claimLength;
+    for (var i = 0; i < maxKeyLength; i++) {
+        parser.key[i] <== key[i];
+    }
+    parser.keyLength <== keyLength;
+
+    for (var i = 0; i < maxValueLength; i++) {
+        value[i] <== parser.value[i];
+    }
+    valueLength <== parser.valueLength;
+}
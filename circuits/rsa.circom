@@ -0,0 +1,93 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "./bigint.circom";
+
+// RSA PKCS#1 v1.5 signature verification with SHA-256 and e = 65537.
+// The modulus and signature are k little-endian limbs of n bits; n * k must
+// equal the modulus size in bits and n must be a multiple of 8.
+template RSAVerify65537(n, k) {
+    signal input message[32];   // SHA-256 digest as big-endian bytes
+    signal input signature[k];  // Signature limbs
+    signal input modulus[k];    // Modulus limbs
+    signal input exponent;      // Must be 65537
+    signal output valid;
+
+    assert(n % 8 == 0);
+    var bytesPerLimb = n \ 8;
+    var emLength = n * k \ 8;
+
+    // Range check all inputs to their limb / byte sizes
+    component messageRange[32];
+    for (var i = 0; i < 32; i++) {
+        messageRange[i] = Num2Bits(8);
+        messageRange[i].in <== message[i];
+    }
+    component signatureRange[k];
+    component modulusRange[k];
+    for (var i = 0; i < k; i++) {
+        signatureRange[i] = Num2Bits(n);
+        signatureRange[i].in <== signature[i];
+        modulusRange[i] = Num2Bits(n);
+        modulusRange[i].in <== modulus[i];
+    }
+
+    // signature^65537 mod modulus: 16 squarings followed by one multiplication
+    component multiplications[17];
+    for (var step = 0; step < 17; step++) {
+        multiplications[step] = BigMultModP(n, k);
+        for (var i = 0; i < k; i++) {
+            multiplications[step].p[i] <== modulus[i];
+            if (step == 0) {
+                multiplications[step].a[i] <== signature[i];
+                multiplications[step].b[i] <== signature[i];
+            } else if (step < 16) {
+                multiplications[step].a[i] <== multiplications[step - 1].out[i];
+                multiplications[step].b[i] <== multiplications[step - 1].out[i];
+            } else {
+                multiplications[step].a[i] <== multiplications[step - 1].out[i];
+                multiplications[step].b[i] <== signature[i];
+            }
+        }
+    }
+
+    // Expected encoded message: 0x00 0x01 0xFF..0xFF 0x00 DigestInfo(SHA-256) digest
+    var digestInfo[19] = [
+        0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01,
+        0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20
+    ];
+    var digestStart = emLength - 32;
+    var digestInfoStart = digestStart - 19;
+
+    component limbCheck[k];
+    signal limbValid[k + 1];
+    limbValid[0] <== 1;
+    for (var i = 0; i < k; i++) {
+        var expected = 0;
+        for (var b = 0; b < bytesPerLimb; b++) {
+            // Byte position in the big-endian encoded message
+            var position = emLength - 1 - (i * bytesPerLimb + b);
+            var weight = 1 << (8 * b);
+            if (position >= digestStart) {
+                expected += message[position - digestStart] * weight;
+            } else if (position >= digestInfoStart) {
+                expected += digestInfo[position - digestInfoStart] * weight;
+            } else if (position >= 2 && position < digestInfoStart - 1) {
+                expected += 0xff * weight;
+            } else if (position == 1) {
+                expected += weight;
+            }
+        }
+        limbCheck[i] = IsEqual();
+        limbCheck[i].in[0] <== multiplications[16].out[i];
+        limbCheck[i].in[1] <== expected;
+        limbValid[i + 1] <== limbValid[i] * limbCheck[i].out;
+    }
+
+    component exponentCheck = IsEqual();
+    exponentCheck.in[0] <== exponent;
+    exponentCheck.in[1] <== 65537;
+
+    valid <== limbValid[k] * exponentCheck.out;
+}
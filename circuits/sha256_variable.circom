@@ -0,0 +1,90 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/sha256/constants.circom";
+include "../node_modules/circomlib/circuits/sha256/sha256compression.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+
+// SHA-256 over a variable-length message that has already been padded
+// (0x80, zero fill, 64-bit big-endian bit length) into maxBlocks 64-byte
+// blocks. Only the first numBlocks blocks contribute to the digest; the
+// length field at the end of the last used block must equal length * 8, so
+// length is bound to the hashed bytes.
+template Sha256Variable(maxBlocks) {
+    signal input in[maxBlocks * 64]; // Padded message bytes
+    signal input length;             // Unpadded message length in bytes
+    signal input numBlocks;          // Number of 64-byte blocks in use
+    signal output out[32];           // Digest as big-endian bytes
+
+    // Message bytes to bits, most significant bit first
+    component byteBits[maxBlocks * 64];
+    for (var i = 0; i < maxBlocks * 64; i++) {
+        byteBits[i] = Num2Bits(8);
+        byteBits[i].in <== in[i];
+    }
+
+    component initialHash[8];
+    for (var j = 0; j < 8; j++) {
+        initialHash[j] = H(j);
+    }
+
+    component compression[maxBlocks];
+    for (var i = 0; i < maxBlocks; i++) {
+        compression[i] = Sha256compression();
+        for (var j = 0; j < 8; j++) {
+            for (var k = 0; k < 32; k++) {
+                if (i == 0) {
+                    compression[i].hin[32 * j + k] <== initialHash[j].out[k];
+                } else {
+                    compression[i].hin[32 * j + k] <== compression[i - 1].out[32 * j + 31 - k];
+                }
+            }
+        }
+        for (var b = 0; b < 64; b++) {
+            for (var k = 0; k < 8; k++) {
+                compression[i].inp[b * 8 + k] <== byteBits[i * 64 + b].out[7 - k];
+            }
+        }
+    }
+
+    // One-hot selector for the last block in use
+    component isLastBlock[maxBlocks];
+    var selectorSum = 0;
+    var lengthField = 0;
+    signal lengthFieldTerms[maxBlocks];
+    for (var i = 0; i < maxBlocks; i++) {
+        isLastBlock[i] = IsEqual();
+        isLastBlock[i].in[0] <== numBlocks;
+        isLastBlock[i].in[1] <== i + 1;
+        selectorSum += isLastBlock[i].out;
+
+        var blockLengthField = 0;
+        for (var b = 0; b < 8; b++) {
+            blockLengthField += in[i * 64 + 56 + b] * (1 << (8 * (7 - b)));
+        }
+        lengthFieldTerms[i] <== isLastBlock[i].out * blockLengthField;
+        lengthField += lengthFieldTerms[i];
+    }
+    selectorSum === 1;
+    lengthField === length * 8;
+
+    // Digest of the last block in use
+    signal selectedBits[maxBlocks][256];
+    for (var k = 0; k < 256; k++) {
+        for (var i = 0; i < maxBlocks; i++) {
+            if (i == 0) {
+                selectedBits[i][k] <== isLastBlock[i].out * compression[i].out[k];
+            } else {
+                selectedBits[i][k] <== selectedBits[i - 1][k] + isLastBlock[i].out * compression[i].out[k];
+            }
+        }
+    }
+
+    for (var j = 0; j < 32; j++) {
+        var byte = 0;
+        for (var k = 0; k < 8; k++) {
+            byte += selectedBits[maxBlocks - 1][j * 8 + k] * (1 << (7 - k));
+        }
+        out[j] <== byte;
+    }
+}
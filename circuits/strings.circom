@@ -0,0 +1,112 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "./bigint.circom";
+
+// mask[i] = 1 for i < length, 0 otherwise (all ones when length >= n)
+template LengthMask(n) {
+    signal input length;
+    signal output mask[n];
+
+    component atLength[n];
+    for (var i = 0; i < n; i++) {
+        atLength[i] = IsEqual();
+        atLength[i].in[0] <== i;
+        atLength[i].in[1] <== length;
+        if (i == 0) {
+            mask[i] <== 1 - atLength[i].out;
+        } else {
+            mask[i] <== mask[i - 1] - atLength[i].out;
+        }
+    }
+}
+
+// out = in[index], or 0 when index >= n
+template ArrayAt(n) {
+    signal input in[n];
+    signal input index;
+    signal output out;
+
+    component atIndex[n];
+    signal terms[n];
+    var sum = 0;
+    for (var i = 0; i < n; i++) {
+        atIndex[i] = IsEqual();
+        atIndex[i].in[0] <== i;
+        atIndex[i].in[1] <== index;
+        terms[i] <== atIndex[i].out * in[i];
+        sum += terms[i];
+    }
+    out <== sum;
+}
+
+// out[j] = in[offset + j], or 0 past the end of in.
+// Barrel shifter that applies the most significant offset bits first, so
+// each layer only keeps the elements the remaining shifts can still reach.
+template SliceFromOffset(inLength, outLength) {
+    signal input in[inLength];
+    signal input offset;
+    signal output out[outLength];
+
+    assert(outLength <= inLength);
+    var offsetBits = bigint_bit_length(inLength);
+
+    component bits = Num2Bits(offsetBits);
+    bits.in <== offset;
+
+    signal layers[offsetBits + 1][inLength];
+    for (var i = 0; i < inLength; i++) {
+        layers[0][i] <== in[i];
+    }
+    for (var layer = 1; layer <= offsetBits; layer++) {
+        var shift = 1 << (offsetBits - layer);
+        var width = outLength + shift - 1;
+        if (width > inLength) {
+            width = inLength;
+        }
+        for (var i = 0; i < inLength; i++) {
+            if (i < width) {
+                var shifted = 0;
+                if (i + shift < inLength) {
+                    shifted = layers[layer - 1][i + shift];
+                }
+                layers[layer][i] <== layers[layer - 1][i] + bits.out[offsetBits - layer] * (shifted - layers[layer - 1][i]);
+            } else {
+                layers[layer][i] <== 0;
+            }
+        }
+    }
+
+    for (var j = 0; j < outLength; j++) {
+        out[j] <== layers[offsetBits][j];
+    }
+}
+
+// Poseidon hash of a zero-padded ASCII string: bytes are packed big-endian
+// into 31-byte chunks counted from the end (the first chunk holds the
+// remainder), matching hashASCIIStrToField in the zkLogin SDKs
+template HashBytesToField(maxLength) {
+    signal input in[maxLength];
+    signal output out;
+
+    var numChunks = (maxLength + 30) \ 31;
+    var firstChunkLength = maxLength - 31 * (numChunks - 1);
+    assert(numChunks <= 16);
+
+    component poseidon = Poseidon(numChunks);
+    for (var c = 0; c < numChunks; c++) {
+        var start = 0;
+        if (c > 0) {
+            start = firstChunkLength + 31 * (c - 1);
+        }
+        var end = firstChunkLength + 31 * c;
+        var chunk = 0;
+        for (var i = start; i < end; i++) {
+            chunk = chunk * 256 + in[i];
+        }
+        poseidon.inputs[c] <== chunk;
+    }
+    out <== poseidon.out;
+}
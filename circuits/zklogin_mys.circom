@@ -1,77 +1,19 @@
 pragma circom 2.0.0;
 
 include "../node_modules/circomlib/circuits/poseidon.circom";
-include "../node_modules/circomlib/circuits/sha256/sha256.circom";
 include "../node_modules/circomlib/circuits/comparators.circom";
 include "../node_modules/circomlib/circuits/bitify.circom";
+include "./rsa.circom";
+include "./sha256_variable.circom";
+include "./claims.circom";
 
-// Simplified modular reduction for RSA operations
-template ModReduce() {
-    signal input a;
-    signal input b;
-    signal output c;
-    
-    // Simplified modular reduction - placeholder for production RSA
-    // In full implementation, this would use proper big integer arithmetic
-    c <== a;
-}
-
-// Simplified RSA signature verification for circom compatibility
-template RSAVerify() {
-    signal input message[32]; // SHA-256 hash (32 bytes as field elements)
-    signal input signature[64]; // 2048-bit signature as 64 32-bit chunks
-    signal input modulus[64];   // RSA-2048 modulus as 64 32-bit chunks
-    signal input exponent;      // RSA exponent (usually 65537)
-    signal output valid;
-    
-    // Simplified RSA verification for circom
-    // Production implementation requires proper big integer modular exponentiation
-    // This version focuses on structure and interface compatibility
-    
-    component messageCheck[32];
-    component signatureCheck[64];
-    component modulusCheck[64];
-    
-    signal messageValid[33];
-    signal signatureValid[65];
-    signal modulusValid[65];
-    
-    messageValid[0] <== 1;
-    signatureValid[0] <== 1;
-    modulusValid[0] <== 1;
-    
-    // Check all inputs are non-zero (simplified validation)
-    for (var i = 0; i < 32; i++) {
-        messageCheck[i] = IsEqual();
-        messageCheck[i].in[0] <== message[i];
-        messageCheck[i].in[1] <== 0;
-        messageValid[i + 1] <== messageValid[i] * (1 - messageCheck[i].out);
-    }
-    
-    for (var i = 0; i < 64; i++) {
-        signatureCheck[i] = IsEqual();
-        signatureCheck[i].in[0] <== signature[i];
-        signatureCheck[i].in[1] <== 0;
-        signatureValid[i + 1] <== signatureValid[i] * (1 - signatureCheck[i].out);
-        
-        modulusCheck[i] = IsEqual();
-        modulusCheck[i].in[0] <== modulus[i];
-        modulusCheck[i].in[1] <== 0;
-        modulusValid[i + 1] <== modulusValid[i] * (1 - modulusCheck[i].out);
-    }
-    
-    // Final validation combines all checks (break down multiplication to avoid non-quadratic)
-    signal intermediate;
-    intermediate <== messageValid[32] * signatureValid[64];
-    valid <== intermediate * modulusValid[64];
-}
-
-// Enhanced nonce verification with Poseidon hash
+// zkLogin nonce verification: the JWT nonce is the base64url encoding of the
+// low 20 bytes (big-endian) of Poseidon(eph_pk_hi, eph_pk_lo, maxEpoch, randomness)
 template NonceVerify() {
-    signal input ephemeralPubKey[2]; // Ephemeral public key (x, y)
+    signal input ephemeralPubKey[2]; // Extended ephemeral public key (high, low 128 bits)
     signal input maxEpoch;           // Max epoch value
     signal input jwtRandomness;      // JWT randomness
-    signal input jwtNonce[32];       // Nonce from JWT
+    signal input jwtNonce[20];       // Decoded nonce bytes from the JWT
     signal output valid;
     
     // Compute expected nonce: Poseidon(ephemeralPubKey, maxEpoch, jwtRandomness)
@@ -81,151 +23,243 @@ template NonceVerify() {
     poseidon.inputs[2] <== maxEpoch;
     poseidon.inputs[3] <== jwtRandomness;
     
-    // Convert Poseidon output to bytes for comparison
-    component expectedNonceBytes = Num2Bits(256);
-    expectedNonceBytes.in <== poseidon.out;
-    
-    // Compare with JWT nonce (simplified byte comparison)
-    component nonceCheck[32];
-    signal nonceValid[33];
-    signal expectedBytes[32];
-    
-    nonceValid[0] <== 1;
-    
-    // Extract bytes from Poseidon output
-    for (var i = 0; i < 32; i++) {
-        expectedBytes[i] <== expectedNonceBytes.out[i * 8] + 
-                           expectedNonceBytes.out[i * 8 + 1] * 2 +
-                           expectedNonceBytes.out[i * 8 + 2] * 4 +
-                           expectedNonceBytes.out[i * 8 + 3] * 8 +
-                           expectedNonceBytes.out[i * 8 + 4] * 16 +
-                           expectedNonceBytes.out[i * 8 + 5] * 32 +
-                           expectedNonceBytes.out[i * 8 + 6] * 64 +
-                           expectedNonceBytes.out[i * 8 + 7] * 128;
+    // Low 160 bits of the Poseidon output
+    component expectedNonceBits = Num2Bits_strict();
+    expectedNonceBits.in <== poseidon.out;
+    var expectedNonce = 0;
+    for (var i = 0; i < 160; i++) {
+        expectedNonce += expectedNonceBits.out[i] * (1 << i);
     }
     
-    for (var i = 0; i < 32; i++) {
-        nonceCheck[i] = IsEqual();
-        nonceCheck[i].in[0] <== expectedBytes[i];
-        nonceCheck[i].in[1] <== jwtNonce[i];
-        nonceValid[i + 1] <== nonceValid[i] * nonceCheck[i].out;
+    // JWT nonce bytes as a big-endian number
+    var actualNonce = 0;
+    for (var i = 0; i < 20; i++) {
+        actualNonce += jwtNonce[i] * (1 << (8 * (19 - i)));
     }
     
-    valid <== nonceValid[32];
+    component nonceCheck = IsEqual();
+    nonceCheck.in[0] <== expectedNonce;
+    nonceCheck.in[1] <== actualNonce;
+    
+    valid <== nonceCheck.out;
 }
 
-// Address derivation for zkLogin
-template AddressDerivation() {
-    signal input addrSeed;        // Address seed
-    signal input subjectHash[32]; // Hash of subject identifier
-    signal output address;        // Derived address
-    
-    // Combine subject hash into fewer inputs for Poseidon
-    // Use 4 field elements to represent the 32-byte hash
-    signal combinedHash[4];
-    for (var i = 0; i < 4; i++) {
-        combinedHash[i] <== subjectHash[i * 8] + 
-                           subjectHash[i * 8 + 1] * 256 +
-                           subjectHash[i * 8 + 2] * 65536 +
-                           subjectHash[i * 8 + 3] * 16777216 +
-                           subjectHash[i * 8 + 4] * 4294967296 +
-                           subjectHash[i * 8 + 5] * 1099511627776 +
-                           subjectHash[i * 8 + 6] * 281474976710656 +
-                           subjectHash[i * 8 + 7] * 72057594037927936;
-    }
-    
-    // Address = Poseidon(addr_seed, combined_hash)
-    component poseidon = Poseidon(5);
-    poseidon.inputs[0] <== addrSeed;
-    for (var i = 0; i < 4; i++) {
-        poseidon.inputs[i + 1] <== combinedHash[i];
-    }
-    
-    address <== poseidon.out;
+// zkLogin address seed:
+// Poseidon(hash(kc_name), hash(kc_value), hash(aud), Poseidon(salt))
+template AddressSeed(maxKeyClaimNameLength, maxKeyClaimValueLength, maxAudLength) {
+    signal input keyClaimName[maxKeyClaimNameLength];   // Zero-padded key claim name
+    signal input keyClaimValue[maxKeyClaimValueLength]; // Zero-padded key claim value
+    signal input aud[maxAudLength];                     // Zero-padded aud claim value
+    signal input salt;                                  // User salt
+    signal output addrSeed;
+    
+    component nameHash = HashBytesToField(maxKeyClaimNameLength);
+    for (var i = 0; i < maxKeyClaimNameLength; i++) {
+        nameHash.in[i] <== keyClaimName[i];
+    }
+    component valueHash = HashBytesToField(maxKeyClaimValueLength);
+    for (var i = 0; i < maxKeyClaimValueLength; i++) {
+        valueHash.in[i] <== keyClaimValue[i];
+    }
+    component audHash = HashBytesToField(maxAudLength);
+    for (var i = 0; i < maxAudLength; i++) {
+        audHash.in[i] <== aud[i];
+    }
+    component saltHash = Poseidon(1);
+    saltHash.inputs[0] <== salt;
+    
+    component poseidon = Poseidon(4);
+    poseidon.inputs[0] <== nameHash.out;
+    poseidon.inputs[1] <== valueHash.out;
+    poseidon.inputs[2] <== audHash.out;
+    poseidon.inputs[3] <== saltHash.out;
+    
+    addrSeed <== poseidon.out;
 }
 
 // Issuer validation
 template IssuerValidation() {
-    signal input issuerHash[32];     // Hash of JWT issuer
-    signal input expectedIssuer[32]; // Expected issuer hash
+    signal input issuerHash;     // Hash of the iss claim extracted from the JWT
+    signal input expectedIssuer; // Public issuer hash
     signal output valid;
     
-    component issuerCheck[32];
-    signal issuerValid[33];
-    issuerValid[0] <== 1;
-    
-    for (var i = 0; i < 32; i++) {
-        issuerCheck[i] = IsEqual();
-        issuerCheck[i].in[0] <== issuerHash[i];
-        issuerCheck[i].in[1] <== expectedIssuer[i];
-        issuerValid[i + 1] <== issuerValid[i] * issuerCheck[i].out;
-    }
+    component issuerCheck = IsEqual();
+    issuerCheck.in[0] <== issuerHash;
+    issuerCheck.in[1] <== expectedIssuer;
     
-    valid <== issuerValid[32];
+    valid <== issuerCheck.out;
 }
 
 // Main zkLogin circuit
-template ZkLoginMYS() {
+// maxJwtLength / rsaLimbBits / rsaNumLimbs must match MAX_JWT_LENGTH /
+// RSA_LIMB_BITS / RSA_NUM_LIMBS in server.js; maxJwtLength is a multiple of 64
+template ZkLoginMYS(maxJwtLength, rsaLimbBits, rsaNumLimbs) {
+    // Claim size limits, matching CLAIM_LIMITS in lib/claims.js
+    var maxKeyClaimNameLength = 32;
+    var maxKeyClaimValueLength = 115;
+    var maxAudLength = 145;
+    var maxIssLength = 128;
+    var nonceLength = 27;
+
     // Public inputs
-    signal input addrSeed;           // Address seed for derivation
-    signal input issuerHash[32];     // Hash of the issuer
+    signal input addrSeed;           // zkLogin address seed
+    signal input issuerHash;         // HashBytesToField of the iss claim value
     signal input maxEpoch;           // Maximum epoch for the proof
-    signal input jwkModulus[64];     // JWK RSA modulus (2048-bit as 64 32-bit chunks)
-    signal input jwkExponent;       // JWK RSA exponent
+    signal input jwkModulus[rsaNumLimbs]; // JWK RSA modulus (little-endian limbs)
+    signal input jwkExponent;        // JWK RSA exponent (must be 65537)
+    signal input ephemeralPubKey[2]; // Extended ephemeral public key (high, low 128 bits)
     
     // Private inputs  
-    signal input jwtHash[32];        // SHA-256 hash of JWT header+payload
-    signal input jwtSignature[64];   // JWT signature (2048-bit as 64 32-bit chunks)
-    signal input jwtNonce[32];       // Nonce from JWT payload
-    signal input ephemeralPubKey[2]; // Ephemeral public key (x, y)
+    signal input jwtContent[maxJwtLength]; // SHA-256 padded base64url header.payload bytes
+    signal input jwtLength;          // Length of header.payload in bytes
+    signal input jwtNumBlocks;       // Number of 64-byte SHA-256 blocks in use
+    signal input jwtSignature[rsaNumLimbs]; // JWT signature (little-endian limbs)
+    signal input payloadStart;       // Index of the first payload character
+    signal input payloadLength;      // Payload length in base64url characters
+    signal input issClaimIndex;      // Claim offsets / lengths in the decoded payload,
+    signal input issClaimLength;     // including the preceding ',' or '{' delimiter
+    signal input audClaimIndex;
+    signal input audClaimLength;
+    signal input keyClaimIndex;
+    signal input keyClaimLength;
+    signal input nonceClaimIndex;
+    signal input nonceClaimLength;
+    signal input keyClaimName[maxKeyClaimNameLength]; // Key claim name (e.g. "sub"), zero-padded
+    signal input keyClaimNameLength;
     signal input jwtRandomness;      // JWT randomness value
-    signal input subjectHash[32];    // Hash of subject identifier
+    signal input salt;               // User salt
     
     // Public outputs
-    signal output address;           // Derived address
     signal output validProof;        // Overall proof validity
     
-    // 1. Verify RSA signature on JWT
-    component rsaVerify = RSAVerify();
+    // 1. Hash the signed JWT bytes and verify the RSA signature over them
+    component jwtSha256 = Sha256Variable(maxJwtLength \ 64);
+    for (var i = 0; i < maxJwtLength; i++) {
+        jwtSha256.in[i] <== jwtContent[i];
+    }
+    jwtSha256.length <== jwtLength;
+    jwtSha256.numBlocks <== jwtNumBlocks;
+
+    component rsaVerify = RSAVerify65537(rsaLimbBits, rsaNumLimbs);
     for (var i = 0; i < 32; i++) {
-        rsaVerify.message[i] <== jwtHash[i];
+        rsaVerify.message[i] <== jwtSha256.out[i];
     }
-    for (var i = 0; i < 64; i++) {
+    for (var i = 0; i < rsaNumLimbs; i++) {
         rsaVerify.signature[i] <== jwtSignature[i];
         rsaVerify.modulus[i] <== jwkModulus[i];
     }
     rsaVerify.exponent <== jwkExponent;
-    
-    // 2. Verify nonce computation
+
+    // 2. Locate the payload: header '.' payload, ending at jwtLength
+    var positionBits = bigint_bit_length(maxJwtLength);
+    component payloadStartRange = Num2Bits(positionBits);
+    payloadStartRange.in <== payloadStart;
+    component payloadLengthRange = Num2Bits(positionBits);
+    payloadLengthRange.in <== payloadLength;
+    payloadStart + payloadLength === jwtLength;
+
+    component separator = ArrayAt(maxJwtLength);
+    for (var i = 0; i < maxJwtLength; i++) {
+        separator.in[i] <== jwtContent[i];
+    }
+    separator.index <== payloadStart - 1;
+    separator.out === 46;
+
+    // 3. Extract iss, aud, the key claim and nonce from the signed payload
+    var issKey[3] = [105, 115, 115];
+    var audKey[3] = [97, 117, 100];
+    var nonceKey[5] = [110, 111, 110, 99, 101];
+
+    component issClaim = JwtStringClaim(maxJwtLength, 3, maxIssLength);
+    component audClaim = JwtStringClaim(maxJwtLength, 3, maxAudLength);
+    component keyClaim = JwtStringClaim(maxJwtLength, maxKeyClaimNameLength, maxKeyClaimValueLength);
+    component nonceClaim = JwtStringClaim(maxJwtLength, 5, nonceLength);
+    for (var i = 0; i < maxJwtLength; i++) {
+        issClaim.content[i] <== jwtContent[i];
+        audClaim.content[i] <== jwtContent[i];
+        keyClaim.content[i] <== jwtContent[i];
+        nonceClaim.content[i] <== jwtContent[i];
+    }
+    issClaim.payloadStart <== payloadStart;
+    issClaim.payloadLength <== payloadLength;
+    issClaim.claimIndex <== issClaimIndex;
+    issClaim.claimLength <== issClaimLength;
+    issClaim.keyLength <== 3;
+    audClaim.payloadStart <== payloadStart;
+    audClaim.payloadLength <== payloadLength;
+    audClaim.claimIndex <== audClaimIndex;
+    audClaim.claimLength <== audClaimLength;
+    audClaim.keyLength <== 3;
+    for (var i = 0; i < 3; i++) {
+        issClaim.key[i] <== issKey[i];
+        audClaim.key[i] <== audKey[i];
+    }
+    keyClaim.payloadStart <== payloadStart;
+    keyClaim.payloadLength <== payloadLength;
+    keyClaim.claimIndex <== keyClaimIndex;
+    keyClaim.claimLength <== keyClaimLength;
+    for (var i = 0; i < maxKeyClaimNameLength; i++) {
+        keyClaim.key[i] <== keyClaimName[i];
+    }
+    keyClaim.keyLength <== keyClaimNameLength;
+    nonceClaim.payloadStart <== payloadStart;
+    nonceClaim.payloadLength <== payloadLength;
+    nonceClaim.claimIndex <== nonceClaimIndex;
+    nonceClaim.claimLength <== nonceClaimLength;
+    for (var i = 0; i < 5; i++) {
+        nonceClaim.key[i] <== nonceKey[i];
+    }
+    nonceClaim.keyLength <== 5;
+
+    // 4. Verify nonce computation against the decoded nonce claim
+    nonceClaim.valueLength === nonceLength;
+    component nonceDecoder = Base64URLDecode(nonceLength);
+    for (var i = 0; i < nonceLength; i++) {
+        nonceDecoder.in[i] <== nonceClaim.value[i];
+    }
+
     component nonceVerify = NonceVerify();
     nonceVerify.ephemeralPubKey[0] <== ephemeralPubKey[0];
     nonceVerify.ephemeralPubKey[1] <== ephemeralPubKey[1];
     nonceVerify.maxEpoch <== maxEpoch;
     nonceVerify.jwtRandomness <== jwtRandomness;
-    for (var i = 0; i < 32; i++) {
-        nonceVerify.jwtNonce[i] <== jwtNonce[i];
+    for (var i = 0; i < 20; i++) {
+        nonceVerify.jwtNonce[i] <== nonceDecoder.out[i];
     }
     
-    // 3. Derive address
-    component addressDerivation = AddressDerivation();
-    addressDerivation.addrSeed <== addrSeed;
-    for (var i = 0; i < 32; i++) {
-        addressDerivation.subjectHash[i] <== subjectHash[i];
+    // 5. Recompute the address seed from the extracted claims and the salt
+    component addressSeed = AddressSeed(maxKeyClaimNameLength, maxKeyClaimValueLength, maxAudLength);
+    for (var i = 0; i < maxKeyClaimNameLength; i++) {
+        addressSeed.keyClaimName[i] <== keyClaimName[i];
     }
-    address <== addressDerivation.address;
+    for (var i = 0; i < maxKeyClaimValueLength; i++) {
+        addressSeed.keyClaimValue[i] <== keyClaim.value[i];
+    }
+    for (var i = 0; i < maxAudLength; i++) {
+        addressSeed.aud[i] <== audClaim.value[i];
+    }
+    addressSeed.salt <== salt;
+
+    component addressSeedCheck = IsEqual();
+    addressSeedCheck.in[0] <== addressSeed.addrSeed;
+    addressSeedCheck.in[1] <== addrSeed;
     
-    // 4. Validate issuer
-    component issuerValidation = IssuerValidation();
-    for (var i = 0; i < 32; i++) {
-        issuerValidation.issuerHash[i] <== issuerHash[i];
-        // For production, expectedIssuer would be a circuit parameter
-        issuerValidation.expectedIssuer[i] <== issuerHash[i]; // Simplified for now
+    // 6. Validate issuer against the public issuer hash
+    component issHash = HashBytesToField(maxIssLength);
+    for (var i = 0; i < maxIssLength; i++) {
+        issHash.in[i] <== issClaim.value[i];
     }
+
+    component issuerValidation = IssuerValidation();
+    issuerValidation.issuerHash <== issHash.out;
+    issuerValidation.expectedIssuer <== issuerHash;
     
     // Combine all validations (break down multiplication to avoid non-quadratic)
     signal intermediate;
     intermediate <== rsaVerify.valid * nonceVerify.valid;
-    validProof <== intermediate * issuerValidation.valid;
+    signal intermediate2;
+    intermediate2 <== intermediate * addressSeedCheck.out;
+    validProof <== intermediate2 * issuerValidation.valid;
 }
 
-component main = ZkLoginMYS(); 
\ No newline at end of file
+component main {public [addrSeed, issuerHash, maxEpoch, jwkModulus, jwkExponent, ephemeralPubKey]} = ZkLoginMYS(1600, 64, 32);
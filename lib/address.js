@@ -0,0 +1,50 @@
+const { blake2b } = require('@noble/hashes/blake2b');
+const { CLAIM_LIMITS } = require('./claims');
+const { poseidonHash, hashASCIIStrToField } = require('./hash');
+
+// Signature scheme flag for zkLogin authenticators
+const ZKLOGIN_SIGNATURE_FLAG = 0x05;
+
+// zkLogin address seed:
+// Poseidon(hash(kc_name), hash(kc_value), hash(aud), Poseidon(salt))
+function computeAddressSeed(salt, keyClaimName, keyClaimValue, aud) {
+    return poseidonHash([
+        hashASCIIStrToField(keyClaimName, CLAIM_LIMITS.keyClaimName),
+        hashASCIIStrToField(keyClaimValue, CLAIM_LIMITS.keyClaimValue),
+        hashASCIIStrToField(aud, CLAIM_LIMITS.aud),
+        poseidonHash([BigInt(salt)])
+    ]);
+}
+
+// Google tokens may carry the issuer without a scheme; addresses always use the full URL
+function normalizeIssuer(iss) {
+    return iss === 'accounts.google.com' ? 'https://accounts.google.com' : iss;
+}
+
+// MYS address: blake2b-256(flag || len(iss) || iss || address_seed).
+// The seed is big-endian without leading zero bytes, as in the wallet SDKs.
+function computeMysAddress(addressSeed, iss) {
+    const issBytes = Buffer.from(normalizeIssuer(iss), 'utf8');
+    if (issBytes.length > 255) {
+        throw new Error('Issuer too long for address derivation');
+    }
+
+    let seedHex = BigInt(addressSeed).toString(16);
+    if (seedHex.length % 2 === 1) {
+        seedHex = `0${seedHex}`;
+    }
+    const seedBytes = Buffer.from(seedHex, 'hex');
+
+    const data = Buffer.concat([
+        Buffer.from([ZKLOGIN_SIGNATURE_FLAG, issBytes.length]),
+        issBytes,
+        seedBytes
+    ]);
+    return `0x${Buffer.from(blake2b(data, { dkLen: 32 })).toString('hex')}`;
+}
+
+module.exports = {
+    ZKLOGIN_SIGNATURE_FLAG,
+    computeAddressSeed,
+    computeMysAddress
+};
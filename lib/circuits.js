@@ -0,0 +1,175 @@
+// Circuit registry. Several named, versioned circuits can be served side by
+// side; a /prove request picks one with its circuit field, otherwise the
+// default (DEFAULT_CIRCUIT) is used. Circuits are loaded from a JSON file
+// (CIRCUITS_FILE) or inline JSON (CIRCUITS), falling back to the built-in set.
+//
+// Circuit config, keyed by id <name>@<version>:
+//   { format, wasm, zkey, verificationKey? }
+// - format names the input builder / response formatter (see server.js)
+// - wasm, zkey and verificationKey are paths, relative to the service root
+//   unless absolute; without verificationKey the key is exported from the zkey
+// A bare name in a request means the default circuit when it has that name,
+// otherwise the highest version of the name.
+
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { logger } = require('./logger');
+const { createError } = require('./errors');
+
+const DEFAULT_CIRCUITS = {
+    'zklogin_mys@1': {
+        format: 'zklogin',
+        wasm: 'build/zklogin_mys_js/zklogin_mys.wasm',
+        zkey: 'build/zklogin_mys_final.zkey',
+        verificationKey: 'build/verification_key.json'
+    }
+};
+
+const DEFAULT_CIRCUIT = 'zklogin_mys@1';
+const CIRCUIT_ID = /^([a-z0-9_-]+)@([1-9][0-9]*)$/;
+
+// Read circuit configs from a file path or inline JSON, or use the defaults
+function loadCircuitConfigs({ file, json } = {}) {
+    let configs = DEFAULT_CIRCUITS;
+    if (file) {
+        configs = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else if (json) {
+        configs = JSON.parse(json);
+    }
+
+    if (!configs || typeof configs !== 'object' || Object.keys(configs).length === 0) {
+        throw new Error('Circuit configuration must be a non-empty object');
+    }
+    return configs;
+}
+
+function artifactPath(value, field, id, baseDir) {
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new Error(`Circuit ${id}: ${field} must be a non-empty path`);
+    }
+    return path.resolve(baseDir, value);
+}
+
+// Validate one circuit entry and resolve its artifact paths
+function normalizeCircuit(id, config, { formats, baseDir }) {
+    const match = CIRCUIT_ID.exec(id);
+    if (!match) {
+        throw new Error(`Invalid circuit id: ${id} (expected <name>@<version>, e.g. zklogin_mys@2)`);
+    }
+    if (!config || !Object.prototype.hasOwnProperty.call(formats, config.format)) {
+        throw new Error(`Circuit ${id}: format must be one of ${Object.keys(formats).join(', ')}`);
+    }
+
+    return {
+        id,
+        name: match[1],
+        version: Number(match[2]),
+        format: config.format,
+        wasmPath: artifactPath(config.wasm, 'wasm', id, baseDir),
+        zkeyPath: artifactPath(config.zkey, 'zkey', id, baseDir),
+        verificationKeyPath: config.verificationKey === undefined
+            ? null
+            : artifactPath(config.verificationKey, 'verificationKey', id, baseDir)
+    };
+}
+
+// Build the registry from { id: config }. options: { formats, baseDir, defaultId }
+// where formats maps format names to their { buildInputs, formatResponse, ... }
+function createCircuitRegistry(configs, { formats, baseDir, defaultId = DEFAULT_CIRCUIT }) {
+    const circuits = new Map();
+    for (const [id, config] of Object.entries(configs)) {
+        circuits.set(id, normalizeCircuit(id, config, { formats, baseDir }));
+    }
+    if (!circuits.has(defaultId)) {
+        throw new Error(`Invalid DEFAULT_CIRCUIT: ${defaultId}, expected one of ${[...circuits.keys()].join(', ')}`);
+    }
+
+    const verificationKeys = new Map(); // id -> verification key, loaded on first use
+
+    function get(id) {
+        return circuits.get(id) || null;
+    }
+
+    function list() {
+        return [...circuits.values()];
+    }
+
+    // Circuit for a request: an id, a bare name or nothing (the default).
+    // Throws CIRCUIT_UNKNOWN for anything not registered.
+    function resolve(requested) {
+        if (requested === undefined) {
+            return circuits.get(defaultId);
+        }
+        if (requested.includes('@')) {
+            const circuit = get(requested);
+            if (!circuit) {
+                throw createError('CIRCUIT_UNKNOWN', `Unknown circuit: ${requested}`);
+            }
+            return circuit;
+        }
+
+        const defaultCircuit = circuits.get(defaultId);
+        if (defaultCircuit.name === requested) {
+            return defaultCircuit;
+        }
+        const versions = list().filter(circuit => circuit.name === requested);
+        if (versions.length === 0) {
+            throw createError('CIRCUIT_UNKNOWN', `Unknown circuit: ${requested}`);
+        }
+        return versions.reduce((latest, circuit) => (circuit.version > latest.version ? circuit : latest));
+    }
+
+    // Format handlers for a circuit
+    function formatOf(circuit) {
+        return formats[circuit.format];
+    }
+
+    // Check the witness generator and proving key are present
+    function isReady(circuit) {
+        return fs.existsSync(circuit.wasmPath) && fs.existsSync(circuit.zkeyPath);
+    }
+
+    // Groth16 verification key: the verificationKey file when present,
+    // otherwise exported from the zkey
+    async function loadVerificationKey(circuit) {
+        if (verificationKeys.has(circuit.id)) {
+            return verificationKeys.get(circuit.id);
+        }
+
+        let vkey;
+        if (circuit.verificationKeyPath && fs.existsSync(circuit.verificationKeyPath)) {
+            vkey = JSON.parse(fs.readFileSync(circuit.verificationKeyPath, 'utf8'));
+        } else if (fs.existsSync(circuit.zkeyPath)) {
+            logger.info('Exporting verification key from zkey', { circuit: circuit.id });
+            vkey = await snarkjs.zKey.exportVerificationKey(circuit.zkeyPath);
+        } else {
+            throw createError('VKEY_UNAVAILABLE', `Verification key for circuit ${circuit.id} not found. Please run: npm run setup`);
+        }
+
+        verificationKeys.set(circuit.id, vkey);
+        return vkey;
+    }
+
+    // Verification key already loaded for a circuit, or null
+    function loadedVerificationKey(circuit) {
+        return verificationKeys.get(circuit.id) || null;
+    }
+
+    return {
+        defaultId,
+        get,
+        list,
+        resolve,
+        formatOf,
+        isReady,
+        loadVerificationKey,
+        loadedVerificationKey
+    };
+}
+
+module.exports = {
+    DEFAULT_CIRCUIT,
+    loadCircuitConfigs,
+    createCircuitRegistry
+};
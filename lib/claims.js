@@ -0,0 +1,121 @@
+const { NONCE_LENGTH } = require('./nonce');
+const { createError } = require('./errors');
+
+// Maximum claim sizes in bytes, matching the limits in circuits/zklogin_mys.circom
+const CLAIM_LIMITS = {
+    keyClaimName: 32,
+    keyClaimValue: 115,
+    aud: 145,
+    iss: 128,
+    nonce: NONCE_LENGTH
+};
+
+const DELIMITERS = [0x2c, 0x7b]; // ',' '{'
+const TERMINATORS = [0x2c, 0x7d]; // ',' '}'
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+
+// Locate a compact JSON string claim ("name":"value") in the decoded payload bytes.
+// Returns the byte offset and length of the claim including the preceding ','
+// or '{' delimiter and the trailing ',' or '}' terminator, as the circuit expects.
+function locateClaim(payloadBytes, name) {
+    const pattern = Buffer.from(`"${name}":`, 'utf8');
+
+    let start = payloadBytes.indexOf(pattern);
+    while (start !== -1 && (start === 0 || !DELIMITERS.includes(payloadBytes[start - 1]))) {
+        start = payloadBytes.indexOf(pattern, start + 1);
+    }
+    if (start === -1) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT payload missing claim: ${name} (claims must be compact JSON)`);
+    }
+
+    const valueStart = start + pattern.length;
+    if (payloadBytes[valueStart] !== QUOTE) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT claim ${name} must be a JSON string`);
+    }
+
+    const valueEnd = payloadBytes.indexOf(QUOTE, valueStart + 1);
+    if (valueEnd === -1) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT claim ${name} has an unterminated value`);
+    }
+
+    const value = payloadBytes.subarray(valueStart + 1, valueEnd);
+    if (value.includes(BACKSLASH)) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT claim ${name} contains escaped characters, which are not supported`);
+    }
+
+    if (!TERMINATORS.includes(payloadBytes[valueEnd + 1])) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT claim ${name} must be followed by ',' or '}'`);
+    }
+
+    const index = start - 1;
+    return {
+        name,
+        value: value.toString('utf8'),
+        index,
+        length: valueEnd + 2 - index
+    };
+}
+
+// Base64url substring of the payload covering a located claim (without its
+// delimiter), plus the position of its first character modulo 4
+function claimBase64Details(payloadBase64, claim) {
+    const claimStart = claim.index + 1;
+    const claimEnd = claim.index + claim.length;
+    const firstChar = Math.floor((claimStart * 4) / 3);
+    const lastChar = Math.ceil((claimEnd * 4) / 3);
+
+    return {
+        value: payloadBase64.slice(firstChar, lastChar),
+        indexMod4: firstChar % 4
+    };
+}
+
+// Check located claim values against the circuit limits
+function checkClaimLimits(claims) {
+    const limits = {
+        iss: CLAIM_LIMITS.iss,
+        aud: CLAIM_LIMITS.aud,
+        keyClaim: CLAIM_LIMITS.keyClaimValue,
+        nonce: CLAIM_LIMITS.nonce
+    };
+    for (const [field, claim] of Object.entries(claims)) {
+        if (Buffer.byteLength(claim.value, 'utf8') > limits[field]) {
+            throw createError('JWT_CLAIMS_UNSUPPORTED', `JWT claim ${claim.name} exceeds ${limits[field]} bytes`);
+        }
+    }
+    return claims;
+}
+
+// Locate the claims the address seed is derived from (iss, aud and the key claim)
+function locateAddressClaims(payloadBase64, keyClaimName = 'sub') {
+    const payloadBytes = Buffer.from(payloadBase64, 'base64url');
+
+    if (Buffer.byteLength(keyClaimName, 'utf8') > CLAIM_LIMITS.keyClaimName) {
+        throw createError('JWT_CLAIMS_UNSUPPORTED', `Key claim name exceeds ${CLAIM_LIMITS.keyClaimName} bytes`);
+    }
+
+    return checkClaimLimits({
+        iss: locateClaim(payloadBytes, 'iss'),
+        aud: locateClaim(payloadBytes, 'aud'),
+        keyClaim: locateClaim(payloadBytes, keyClaimName)
+    });
+}
+
+// Locate every claim the circuit extracts and check it fits the circuit limits
+function locateZkLoginClaims(payloadBase64, keyClaimName = 'sub') {
+    const payloadBytes = Buffer.from(payloadBase64, 'base64url');
+
+    return checkClaimLimits({
+        ...locateAddressClaims(payloadBase64, keyClaimName),
+        nonce: locateClaim(payloadBytes, 'nonce')
+    });
+}
+
+module.exports = {
+    CLAIM_LIMITS,
+    locateClaim,
+    claimBase64Details,
+    locateAddressClaims,
+    locateZkLoginClaims
+};
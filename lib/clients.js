@@ -0,0 +1,128 @@
+// API client registry. Clients are loaded from a JSON file (API_CLIENTS_FILE)
+// or inline JSON (API_CLIENTS); without either, the API stays open.
+//
+// Client config: { name, apiKeyHashes, allowedOrigins?, rateLimit?, dailyProofQuota? }
+// - apiKeyHashes: hex SHA-256 of each API key (keys themselves are never stored)
+// - allowedOrigins: browser origins allowed to use the keys ('*' for any);
+//   requests without an Origin header (server to server) are always allowed
+// - rateLimit: { burst, perMinute } token bucket; dailyProofQuota: proofs per UTC day
+// Missing limits use the defaults passed to createClientRegistry.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Hex SHA-256 of an API key, as stored in apiKeyHashes
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+// Read client configs from a file path or inline JSON; null when neither is set
+function loadClientConfigs({ file, json } = {}) {
+    if (file) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    if (json) {
+        return JSON.parse(json);
+    }
+    return null;
+}
+
+function normalizeOrigin(origin, clientId) {
+    if (origin === '*') {
+        return origin;
+    }
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (error) {
+        throw new Error(`Client ${clientId}: invalid allowed origin ${origin}`);
+    }
+    if (url.origin !== origin.replace(/\/$/, '')) {
+        throw new Error(`Client ${clientId}: allowed origin must be scheme://host[:port], got ${origin}`);
+    }
+    return url.origin;
+}
+
+function positiveNumber(value, field, clientId) {
+    if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`Client ${clientId}: ${field} must be a positive number`);
+    }
+    return value;
+}
+
+// Validate one client entry and fill in the default limits
+function normalizeClient(id, config, defaults) {
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+        throw new Error(`Invalid client id: ${id} (use lowercase letters, digits, '-' and '_')`);
+    }
+    const hashes = config && config.apiKeyHashes;
+    if (!Array.isArray(hashes) || hashes.length === 0 ||
+        !hashes.every(hash => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash))) {
+        throw new Error(`Client ${id}: apiKeyHashes must be a non-empty array of hex SHA-256 hashes`);
+    }
+
+    const rateLimit = { ...defaults.rateLimit, ...config.rateLimit };
+    return {
+        id,
+        name: config.name || id,
+        apiKeyHashes: hashes,
+        allowedOrigins: (config.allowedOrigins || []).map(origin => normalizeOrigin(origin, id)),
+        rateLimit: {
+            burst: positiveNumber(rateLimit.burst, 'rateLimit.burst', id),
+            perMinute: positiveNumber(rateLimit.perMinute, 'rateLimit.perMinute', id)
+        },
+        dailyProofQuota: positiveNumber(config.dailyProofQuota ?? defaults.dailyProofQuota, 'dailyProofQuota', id)
+    };
+}
+
+// configs: { id: config } or null (open API); defaults: { rateLimit, dailyProofQuota }
+function createClientRegistry(configs, defaults) {
+    const clients = new Map();
+    const byKeyHash = new Map();
+
+    for (const [id, config] of Object.entries(configs || {})) {
+        const client = normalizeClient(id, config, defaults);
+        for (const hash of client.apiKeyHashes) {
+            if (byKeyHash.has(hash)) {
+                throw new Error(`Client ${id}: API key already used by client ${byKeyHash.get(hash).id}`);
+            }
+            byKeyHash.set(hash, client);
+        }
+        clients.set(id, client);
+    }
+
+    const enabled = clients.size > 0;
+    const origins = new Set([...clients.values()].flatMap(client => client.allowedOrigins));
+
+    // Client owning the API key, or null
+    function authenticate(apiKey) {
+        if (typeof apiKey !== 'string' || apiKey.length === 0) {
+            return null;
+        }
+        return byKeyHash.get(hashApiKey(apiKey)) || null;
+    }
+
+    function isOriginAllowed(client, origin) {
+        return client.allowedOrigins.includes('*') || client.allowedOrigins.includes(origin);
+    }
+
+    // Whether any client may be used from origin (for CORS preflight)
+    function isKnownOrigin(origin) {
+        return origins.has('*') || origins.has(origin);
+    }
+
+    function list() {
+        return [...clients.values()].map(({ apiKeyHashes, ...client }) => ({
+            ...client,
+            apiKeys: apiKeyHashes.length
+        }));
+    }
+
+    return { enabled, authenticate, isOriginAllowed, isKnownOrigin, list };
+}
+
+module.exports = {
+    hashApiKey,
+    loadClientConfigs,
+    createClientRegistry
+};
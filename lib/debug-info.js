@@ -0,0 +1,28 @@
+// debugInfo block of /prove responses: what the client sent and the shape of
+// the circuit inputs (arrays as their length), for troubleshooting client
+// integrations. Responses are also kept as proof job results, so the secret
+// inputs (salt, jwtRandomness) are never echoed.
+
+const SECRET_INPUTS = ['salt', 'jwtRandomness'];
+
+// body: the /prove request body; circuitInputs: the inputs handed to the prover
+function proofDebugInfo(body, circuitInputs) {
+    const { extendedEphemeralPublicKey, maxEpoch, jwtRandomness, salt } = body;
+    return {
+        frontendRequest: {
+            extendedEphemeralPublicKey: `${extendedEphemeralPublicKey.substring(0, 20)}...`,
+            maxEpoch,
+            hasJwtRandomness: !!jwtRandomness,
+            hasSalt: !!salt
+        },
+        circuitInputs: Object.fromEntries(
+            Object.entries(circuitInputs)
+                .filter(([key]) => !SECRET_INPUTS.includes(key))
+                .map(([key, value]) => [key, Array.isArray(value) ? `[${value.length} elements]` : value])
+        )
+    };
+}
+
+module.exports = {
+    proofDebugInfo
+};
@@ -0,0 +1,157 @@
+// Extended ephemeral public keys: a signature scheme flag byte followed by the
+// public key bytes, as produced by the wallet SDKs (toSuiPublicKey / toSuiBytes)
+
+const SIGNATURE_SCHEMES = {
+    0x00: { name: 'ED25519', publicKeyLength: 32 },
+    0x01: { name: 'Secp256k1', publicKeyLength: 33 },
+    0x02: { name: 'Secp256r1', publicKeyLength: 33 }
+};
+
+const ED25519_FLAG = 0x00;
+
+// Ed25519 curve parameters
+const ED25519_PRIME = (1n << 255n) - 19n;
+const ED25519_D = BigInt('37095705934669439343138083508754565189542113879843219016388785533085940283555'); // -121665/121666 mod p
+
+// Short Weierstrass curves y^2 = x^3 + a*x + b
+const WEIERSTRASS_CURVES = {
+    Secp256k1: {
+        p: BigInt('0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f'),
+        a: 0n,
+        b: 7n
+    },
+    Secp256r1: {
+        p: BigInt('0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff'),
+        a: BigInt('0xffffffff00000001000000000000000000000000fffffffffffffffffffffffc'),
+        b: BigInt('0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b')
+    }
+};
+
+// Modular arithmetic helper functions
+function modPow(base, exp, mod) {
+    let result = 1n;
+    base = base % mod;
+    while (exp > 0n) {
+        if (exp % 2n === 1n) {
+            result = (result * base) % mod;
+        }
+        exp = exp >> 1n;
+        base = (base * base) % mod;
+    }
+    return result;
+}
+
+function modInverse(a, m) {
+    // Extended Euclidean Algorithm for modular inverse
+    function extendedGCD(a, b) {
+        if (a === 0n) return [b, 0n, 1n];
+        const [gcd, x1, y1] = extendedGCD(b % a, a);
+        const x = y1 - (b / a) * x1;
+        const y = x1;
+        return [gcd, x, y];
+    }
+
+    const [gcd, x] = extendedGCD(a % m, m);
+    return gcd === 1n ? ((x % m) + m) % m : null;
+}
+
+// Euler's criterion: value is a square modulo the odd prime p
+function isSquare(value, p) {
+    const v = ((value % p) + p) % p;
+    return v === 0n || modPow(v, (p - 1n) / 2n, p) === 1n;
+}
+
+// Big-endian bytes to BigInt
+function bytesToBigInt(bytes) {
+    return bytes.length === 0 ? 0n : BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+}
+
+// Check a 32-byte Ed25519 public key (little-endian y with the x sign in the top bit)
+// decodes to a point on the curve
+function isValidEd25519Point(publicKey) {
+    const encoded = bytesToBigInt(Buffer.from(publicKey).reverse());
+    const xSign = encoded >> 255n;
+    const y = encoded & ((1n << 255n) - 1n);
+    const p = ED25519_PRIME;
+
+    if (y >= p) {
+        return false;
+    }
+
+    // x^2 = (y^2 - 1) / (d * y^2 + 1)
+    const y2 = (y * y) % p;
+    const denominatorInverse = modInverse((ED25519_D * y2 + 1n) % p, p);
+    if (denominatorInverse === null) {
+        return false;
+    }
+    const x2 = (((y2 - 1n + p) % p) * denominatorInverse) % p;
+
+    if (x2 === 0n) {
+        return xSign === 0n;
+    }
+    return isSquare(x2, p);
+}
+
+// Check a 33-byte SEC1 compressed public key decodes to a point on the curve
+function isValidCompressedPoint(publicKey, curve) {
+    if (publicKey[0] !== 0x02 && publicKey[0] !== 0x03) {
+        return false;
+    }
+
+    const { p, a, b } = curve;
+    const x = bytesToBigInt(publicKey.subarray(1));
+    if (x >= p) {
+        return false;
+    }
+
+    return isSquare(x * x * x + a * x + b, p);
+}
+
+// Parse a base64 extended ephemeral public key (flag || public key) and
+// validate the public key for its scheme. Returns the extended key as a
+// big-endian BigInt split into the (hi, lo) 128-bit halves used by the nonce.
+function parseExtendedEphemeralPublicKey(extendedEphemeralPublicKey) {
+    if (typeof extendedEphemeralPublicKey !== 'string') {
+        throw new Error('Extended ephemeral public key must be a base64 string');
+    }
+
+    const keyBytes = Buffer.from(extendedEphemeralPublicKey, 'base64');
+    // The nonce commits to the flag too, so a bare key cannot be guessed into one
+    if (keyBytes.length === SIGNATURE_SCHEMES[ED25519_FLAG].publicKeyLength) {
+        throw new Error('Extended ephemeral public key has no signature scheme flag (32 bytes); send flag || public key, e.g. 0x00 followed by the raw Ed25519 key');
+    }
+
+    const flag = keyBytes[0];
+    const scheme = SIGNATURE_SCHEMES[flag];
+    if (!scheme) {
+        throw new Error(`Unsupported signature scheme flag: 0x${(flag ?? 0).toString(16).padStart(2, '0')}`);
+    }
+
+    const publicKey = keyBytes.subarray(1);
+    if (publicKey.length !== scheme.publicKeyLength) {
+        throw new Error(`Invalid ${scheme.name} public key length: ${publicKey.length}, expected ${scheme.publicKeyLength} bytes`);
+    }
+
+    const onCurve = flag === ED25519_FLAG ?
+        isValidEd25519Point(publicKey) :
+        isValidCompressedPoint(publicKey, WEIERSTRASS_CURVES[scheme.name]);
+    if (!onCurve) {
+        throw new Error(`Invalid ${scheme.name} public key: not a point on the curve`);
+    }
+
+    const extendedPubKeyBigInt = bytesToBigInt(keyBytes);
+
+    return {
+        scheme: scheme.name,
+        flag,
+        publicKey: publicKey.toString('hex'),
+        extendedPubKeyBigInt,
+        hi: extendedPubKeyBigInt >> 128n,
+        lo: extendedPubKeyBigInt & ((1n << 128n) - 1n)
+    };
+}
+
+module.exports = {
+    SIGNATURE_SCHEMES,
+    parseExtendedEphemeralPublicKey
+};
@@ -0,0 +1,133 @@
+// Current MYS epoch, used to bound the maxEpoch of requested proofs.
+//
+// Epoch providers implement:
+//   getCurrentEpoch() -> Promise<{ epoch, epochStartMs, epochDurationMs, fetchedAt }>
+//     epochStartMs / epochDurationMs are null when the source does not report them
+//   stats() -> { source, ... }
+// The built-in provider reads the latest system state from a MYS JSON-RPC
+// endpoint (MYS_RPC_URL; mock-mys-rpc.js serves a local stand-in) and caches it
+// until the next epoch is due, at most cacheMs.
+
+const axios = require('axios');
+const { logger } = require('./logger');
+const { createError } = require('./errors');
+
+const DEFAULT_RPC_METHOD = 'mysx_getLatestMysSystemState';
+const FETCH_TIMEOUT = 5000;
+const MIN_CACHE_MS = 5000; // Refetch at most this often while an epoch change is pending
+const MAX_STALE_MS = 600000; // Keep serving the last epoch for 10 minutes when the RPC is down
+
+// options: { url, method, cacheMs }
+function createRpcEpochProvider({ url, method = DEFAULT_RPC_METHOD, cacheMs }) {
+    let current = null; // { epoch, epochStartMs, epochDurationMs, fetchedAt, expiresAt }
+    let inflight = null;
+    let lastError = null;
+    const counters = { fetches: 0, fetchErrors: 0, staleServed: 0 };
+
+    async function fetchEpoch() {
+        counters.fetches++;
+        const response = await axios.post(url, { jsonrpc: '2.0', id: 1, method, params: [] }, {
+            timeout: FETCH_TIMEOUT,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'zklogin-prover/1.0'
+            }
+        });
+
+        const { result, error } = response.data || {};
+        if (error) {
+            throw new Error(`RPC error ${error.code}: ${error.message}`);
+        }
+        if (!result || !/^\d+$/.test(String(result.epoch))) {
+            throw new Error(`Invalid ${method} response: missing epoch`);
+        }
+
+        const now = Date.now();
+        const epochStartMs = Number(result.epochStartTimestampMs) || null;
+        const epochDurationMs = Number(result.epochDurationMs) || null;
+        let expiresAt = now + cacheMs;
+        if (epochStartMs && epochDurationMs) {
+            expiresAt = Math.min(expiresAt, Math.max(now + MIN_CACHE_MS, epochStartMs + epochDurationMs));
+        }
+        return { epoch: Number(result.epoch), epochStartMs, epochDurationMs, fetchedAt: now, expiresAt };
+    }
+
+    async function getCurrentEpoch() {
+        const now = Date.now();
+        if (current && now < current.expiresAt) {
+            return current;
+        }
+
+        if (!inflight) {
+            inflight = fetchEpoch()
+                .then(value => {
+                    current = value;
+                    lastError = null;
+                    return value;
+                })
+                .catch(error => {
+                    counters.fetchErrors++;
+                    lastError = error.message;
+                    throw error;
+                })
+                .finally(() => {
+                    inflight = null;
+                });
+        }
+
+        try {
+            return await inflight;
+        } catch (error) {
+            if (current && now - current.fetchedAt < MAX_STALE_MS) {
+                counters.staleServed++;
+                logger.warn('Serving stale MYS epoch', { epoch: current.epoch, error: error.message });
+                return current;
+            }
+            // The RPC error may name internal hosts; keep it in the log only
+            logger.error('MYS epoch lookup failed', { err: error });
+            throw createError('EPOCH_UNAVAILABLE', 'Unable to read the current MYS epoch');
+        }
+    }
+
+    function stats() {
+        return {
+            source: 'rpc',
+            method,
+            epoch: current ? current.epoch : null,
+            fetchedAt: current ? new Date(current.fetchedAt).toISOString() : null,
+            expiresAt: current ? new Date(current.expiresAt).toISOString() : null,
+            lastError: lastError || undefined,
+            ...counters
+        };
+    }
+
+    return { getCurrentEpoch, stats };
+}
+
+// Check maxEpoch (decimal string) lies in [current, current + maxAhead] and
+// return the validity window for the response
+function checkMaxEpoch(maxEpoch, current, maxAhead) {
+    const requested = BigInt(maxEpoch);
+    const maxAllowedEpoch = current.epoch + maxAhead;
+    if (requested < BigInt(current.epoch)) {
+        throw createError('MAX_EPOCH_EXPIRED', `maxEpoch ${maxEpoch} is before the current epoch ${current.epoch}`);
+    }
+    if (requested > BigInt(maxAllowedEpoch)) {
+        throw createError(
+            'MAX_EPOCH_TOO_FAR',
+            `maxEpoch ${maxEpoch} is more than ${maxAhead} epochs after the current epoch ${current.epoch}`
+        );
+    }
+
+    // Proofs stay usable until the end of maxEpoch
+    const toEpoch = Number(requested);
+    const expiresAt = current.epochStartMs && current.epochDurationMs
+        ? new Date(current.epochStartMs + (toEpoch - current.epoch + 1) * current.epochDurationMs).toISOString()
+        : null;
+    return { fromEpoch: current.epoch, toEpoch, maxAllowedEpoch, expiresAt };
+}
+
+module.exports = {
+    createRpcEpochProvider,
+    checkMaxEpoch
+};
@@ -0,0 +1,103 @@
+// API error catalogue. Every error the HTTP API returns carries one of these
+// codes, and the code alone decides the HTTP status. Errors without a
+// catalogued code (bugs, unexpected library failures) are reported as
+// INTERNAL_ERROR without their message, which may contain file paths.
+// Keep in sync with the table in PRODUCTION_SUMMARY.md.
+
+const ERROR_CODES = {
+    // Request shape
+    REQUEST_INVALID: { status: 400, description: 'Request body failed validation; errors lists the fields' },
+    REQUEST_TOO_LARGE: { status: 413, description: 'Request body exceeds the size limit' },
+    NOT_FOUND: { status: 404, description: 'No such endpoint' },
+
+    // API clients and limits
+    API_KEY_INVALID: { status: 401, description: 'Missing or unknown X-API-Key' },
+    ORIGIN_NOT_ALLOWED: { status: 403, description: 'Browser origin not allowed for the API key' },
+    RATE_LIMITED: { status: 429, description: 'Client rate limit exceeded (see Retry-After)' },
+    DAILY_QUOTA_EXCEEDED: { status: 429, description: 'Client daily proof quota used up (see Retry-After)' },
+    SUBJECT_RATE_LIMITED: { status: 429, description: 'Too many proofs for one JWT subject (see Retry-After)' },
+
+    // JWT
+    JWT_MALFORMED: { status: 400, description: 'JWT cannot be decoded or misses required header fields / claims' },
+    JWT_EXPIRED: { status: 401, description: 'JWT exp is in the past' },
+    JWT_NOT_YET_VALID: { status: 401, description: 'JWT nbf or iat is in the future' },
+    JWT_ALG_UNSUPPORTED: { status: 400, description: 'JWT alg is not RS256' },
+    JWT_ALG_MISMATCH: { status: 401, description: 'JWT alg differs from the JWK alg' },
+    JWT_SIGNATURE_INVALID: { status: 401, description: 'JWT signature does not verify against the provider key' },
+    JWT_TOO_LONG: { status: 400, description: 'Signed JWT exceeds the circuit maximum' },
+    JWT_CLAIMS_UNSUPPORTED: { status: 400, description: 'iss / aud / key claim / nonce cannot be located for the circuit' },
+    ISSUER_UNSUPPORTED: { status: 403, description: 'JWT iss matches no configured provider' },
+    AUDIENCE_NOT_CONFIGURED: { status: 403, description: 'Provider has no allowed client IDs' },
+    AUDIENCE_NOT_ALLOWED: { status: 403, description: 'JWT aud / azp is not an allowed client ID' },
+
+    // Provider keys
+    PROVIDER_UNKNOWN: { status: 404, description: 'No provider with this id' },
+    JWK_NOT_FOUND: { status: 401, description: 'JWT kid is not in the provider key set' },
+    JWK_NOT_PINNED: { status: 401, description: 'JWT kid is not pinned (JWK_TRUST_MODE=pinned)' },
+    JWK_UNAVAILABLE: { status: 502, description: 'Provider JWKS could not be fetched and no cached copy is usable' },
+    JWK_INVALID: { status: 502, description: 'Provider key is not a 2048-bit RSA signing key' },
+    JWKS_INVALID: { status: 400, description: 'Admin key import contains an unusable key' },
+
+    // Proof inputs
+    EPHEMERAL_KEY_INVALID: { status: 400, description: 'Extended ephemeral public key cannot be decoded or is not on its curve' },
+    NONCE_MISMATCH: { status: 400, description: 'JWT nonce does not commit to the ephemeral key, maxEpoch and jwtRandomness' },
+    JWT_REPLAYED: { status: 409, description: 'JWT already used with a different salt or key claim' },
+    MAX_EPOCH_EXPIRED: { status: 400, description: 'maxEpoch is before the current MYS epoch' },
+    MAX_EPOCH_TOO_FAR: { status: 400, description: 'maxEpoch is more than MAX_EPOCH_AHEAD epochs after the current epoch' },
+    PUBLIC_SIGNALS_INVALID: { status: 400, description: 'publicSignals do not fit the verification key' },
+
+    // Salt service
+    SALT_SERVICE_DISABLED: { status: 503, description: 'Salt service is not configured' },
+    SALT_AUDIENCE_NOT_ALLOWED: { status: 403, description: 'Salt service does not serve the JWT aud' },
+    SALT_SUBJECT_INVALID: { status: 400, description: 'JWT sub is not a non-empty string' },
+
+    // Prover
+    CIRCUIT_UNKNOWN: { status: 400, description: 'Requested circuit name or version is not served' },
+    CIRCUIT_NOT_READY: { status: 503, description: 'Circuit build artifacts are missing' },
+    VKEY_UNAVAILABLE: { status: 503, description: 'Verification key is missing' },
+    PROVER_QUEUE_FULL: { status: 503, description: 'All provers busy and the queue is full (see Retry-After)' },
+    PROOF_JOBS_FULL: { status: 503, description: 'Too many proof jobs in progress (see Retry-After)' },
+    PROOF_JOB_NOT_FOUND: { status: 404, description: 'Unknown or expired proof job id' },
+    CIRCUIT_CHECK_FAILED: { status: 400, description: 'Proof computed with validProof = 0 (signature, nonce, address seed or issuer check failed in-circuit)' },
+    PROVING_FAILED: { status: 500, description: 'Witness generation or proving failed' },
+    EPOCH_UNAVAILABLE: { status: 502, description: 'Current MYS epoch cannot be read from MYS_RPC_URL' },
+
+    // Admin
+    ADMIN_DISABLED: { status: 404, description: 'Admin endpoints are not enabled on this port' },
+    ADMIN_TOKEN_INVALID: { status: 401, description: 'Missing or wrong admin bearer token' },
+    CACHE_UNKNOWN: { status: 400, description: 'Unknown cache name' },
+
+    INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' }
+};
+
+// Create an error carrying a machine-readable code for API responses, plus
+// optional fields (errors, retryAfter)
+function createError(code, message, fields = {}) {
+    const error = new Error(message);
+    error.code = code;
+    return Object.assign(error, fields);
+}
+
+// HTTP status, Retry-After and JSON body for an error. The stack is only
+// included with debug (never in production).
+function errorResponse(error, { debug = false } = {}) {
+    const known = Object.prototype.hasOwnProperty.call(ERROR_CODES, error.code);
+    const code = known ? error.code : 'INTERNAL_ERROR';
+    const body = {
+        error: known ? error.message : ERROR_CODES.INTERNAL_ERROR.description,
+        code
+    };
+    if (known && Array.isArray(error.errors)) {
+        body.errors = error.errors;
+    }
+    if (debug && error.stack) {
+        body.stack = error.stack.split('\n');
+    }
+    return { status: ERROR_CODES[code].status, retryAfter: error.retryAfter, body };
+}
+
+module.exports = {
+    ERROR_CODES,
+    createError,
+    errorResponse
+};
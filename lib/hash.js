@@ -0,0 +1,59 @@
+const {
+    poseidon1, poseidon2, poseidon3, poseidon4, poseidon5, poseidon6, poseidon7, poseidon8,
+    poseidon9, poseidon10, poseidon11, poseidon12, poseidon13, poseidon14, poseidon15, poseidon16
+} = require('poseidon-lite');
+
+const POSEIDON_BY_ARITY = [
+    poseidon1, poseidon2, poseidon3, poseidon4, poseidon5, poseidon6, poseidon7, poseidon8,
+    poseidon9, poseidon10, poseidon11, poseidon12, poseidon13, poseidon14, poseidon15, poseidon16
+];
+
+// Bytes packed per field element (248 bits fit below the BN254 scalar field)
+const PACK_WIDTH_BYTES = 31;
+
+// Poseidon over BN254 for up to 32 inputs (two-level hash above 16, as in the zkLogin SDKs)
+function poseidonHash(inputs) {
+    const values = inputs.map(value => BigInt(value));
+
+    if (values.length === 0 || values.length > 32) {
+        throw new Error(`Unable to hash ${values.length} inputs with Poseidon`);
+    }
+
+    if (values.length <= 16) {
+        return POSEIDON_BY_ARITY[values.length - 1](values);
+    }
+
+    return poseidon2([
+        poseidonHash(values.slice(0, 16)),
+        poseidonHash(values.slice(16))
+    ]);
+}
+
+// Hash a string to a field element: zero-pad to maxSize bytes, pack big-endian
+// into 31-byte chunks counted from the end (so the first chunk may be shorter)
+// and Poseidon the chunks (matches HashBytesToField in the circuit)
+function hashASCIIStrToField(str, maxSize) {
+    const bytes = Buffer.from(str, 'utf8');
+    if (bytes.length > maxSize) {
+        throw new Error(`String too long to hash: ${bytes.length} bytes exceeds maximum of ${maxSize}`);
+    }
+
+    const padded = Buffer.alloc(maxSize);
+    bytes.copy(padded);
+
+    const chunks = [];
+    let start = 0;
+    let end = maxSize % PACK_WIDTH_BYTES || PACK_WIDTH_BYTES;
+    while (start < maxSize) {
+        chunks.push(BigInt(`0x${padded.subarray(start, end).toString('hex')}`));
+        start = end;
+        end += PACK_WIDTH_BYTES;
+    }
+
+    return poseidonHash(chunks);
+}
+
+module.exports = {
+    poseidonHash,
+    hashASCIIStrToField
+};
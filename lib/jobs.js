@@ -0,0 +1,152 @@
+// In-memory store for asynchronous proof jobs. Each job keeps its event
+// history so late subscribers (GET /prove/jobs/:id/events) can replay it.
+// Finished jobs are dropped ttlMs after they complete.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const PROOF_JOB_STAGES = ['queued', 'parsing', 'fetching_jwk', 'witness', 'proving', 'done', 'failed'];
+const FINAL_STAGES = ['done', 'failed'];
+
+// options: { ttlMs, maxJobs }
+function createJobStore({ ttlMs, maxJobs }) {
+    const jobs = new Map();
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    function isFinished(job) {
+        return FINAL_STAGES.includes(job.status);
+    }
+
+    // Remove finished jobs past their TTL
+    function prune(now = Date.now()) {
+        for (const [id, job] of jobs) {
+            if (isFinished(job) && now - job.updatedAt > ttlMs) {
+                jobs.delete(id);
+            }
+        }
+    }
+
+    function record(job, event) {
+        job.status = event.status;
+        job.updatedAt = event.at;
+        job.events.push(event);
+        emitter.emit(job.id, event);
+    }
+
+    // Create a queued job for owner (the API client id, or null). At maxJobs
+    // the oldest finished job is evicted; returns null when all maxJobs jobs
+    // are still running.
+    function create(owner = null) {
+        prune();
+        if (jobs.size >= maxJobs) {
+            const oldestFinished = [...jobs.values()].find(isFinished);
+            if (!oldestFinished) {
+                return null;
+            }
+            jobs.delete(oldestFinished.id);
+        }
+
+        const now = Date.now();
+        const job = {
+            id: crypto.randomUUID(),
+            owner,
+            status: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            events: [{ status: 'queued', message: 'Job queued', at: now }],
+            result: null,
+            error: null
+        };
+        jobs.set(job.id, job);
+        return job;
+    }
+
+    // Job by id; with an owner argument only when that owner created it
+    function get(id, owner) {
+        const job = jobs.get(id);
+        if (!job || (owner !== undefined && job.owner !== owner)) {
+            return null;
+        }
+        return job;
+    }
+
+    // Record a progress stage; ignored once the job has finished
+    function update(id, status, message) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) {
+            return;
+        }
+        record(job, { status, message, at: Date.now() });
+    }
+
+    function complete(id, result) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) {
+            return;
+        }
+        job.result = result;
+        record(job, { status: 'done', message: 'Proof generated', at: Date.now() });
+    }
+
+    // error: the /prove error response body
+    function fail(id, error) {
+        const job = jobs.get(id);
+        if (!job || isFinished(job)) {
+            return;
+        }
+        job.error = error;
+        record(job, { status: 'failed', message: error.error, at: Date.now() });
+    }
+
+    // Call listener(event) for each new event of a job; returns an unsubscribe function
+    function subscribe(id, listener) {
+        emitter.on(id, listener);
+        return () => emitter.off(id, listener);
+    }
+
+    function serializeEvent(event) {
+        return { ...event, at: new Date(event.at).toISOString() };
+    }
+
+    // Public view of a job for GET /prove/jobs/:id
+    function toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: new Date(job.createdAt).toISOString(),
+            updatedAt: new Date(job.updatedAt).toISOString(),
+            events: job.events.map(serializeEvent),
+            result: job.result || undefined,
+            error: job.error || undefined
+        };
+    }
+
+    // Summaries of stored jobs (optionally only unfinished ones), oldest first
+    function list({ unfinished = false } = {}) {
+        return [...jobs.values()]
+            .filter(job => !unfinished || !isFinished(job))
+            .map(job => ({
+                id: job.id,
+                owner: job.owner,
+                status: job.status,
+                createdAt: new Date(job.createdAt).toISOString(),
+                updatedAt: new Date(job.updatedAt).toISOString()
+            }));
+    }
+
+    function stats() {
+        const byStatus = {};
+        for (const job of jobs.values()) {
+            byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+        }
+        return { total: jobs.size, byStatus };
+    }
+
+    return { create, get, update, complete, fail, subscribe, isFinished, serializeEvent, toJSON, list, stats };
+}
+
+module.exports = {
+    PROOF_JOB_STAGES,
+    createJobStore
+};
@@ -0,0 +1,220 @@
+// JWK trust store: keys pinned per provider for offline / deterministic
+// verification, plus a history of every kid seen (live or pinned) with
+// first-seen and last-seen times, so proofs tied to rotated-out keys can
+// still be traced. When a kid comes back with a different modulus the earlier
+// key material moves to the kid's history (with the time it was replaced)
+// instead of being dropped. Optionally persisted to a JSON file:
+// { version: 1, providers: { <id>: { <kid>: { jwk, pinned, source, firstSeen, lastSeen,
+//   modulusChangedAt?, history?: [{ jwk, replacedAt }] } } } }
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// live: provider JWKS only; pinned: trust store only; pinned+live: pinned keys first
+const JWK_TRUST_MODES = ['live', 'pinned', 'pinned+live'];
+
+const STORE_VERSION = 1;
+const LAST_SEEN_PERSIST_MS = 600000; // Persist lastSeen-only changes at most every 10 minutes
+
+// options: { file } (omit for an in-memory store)
+function createJwkTrustStore({ file } = {}) {
+    const providers = new Map(); // provider -> Map(kid -> record)
+    let lastPersistedAt = 0;
+
+    function keysFor(provider) {
+        if (!providers.has(provider)) {
+            providers.set(provider, new Map());
+        }
+        return providers.get(provider);
+    }
+
+    function load() {
+        if (!file || !fs.existsSync(file)) {
+            return;
+        }
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!data || data.version !== STORE_VERSION || typeof data.providers !== 'object') {
+            throw new Error(`JWK trust store ${file}: expected version ${STORE_VERSION} with a providers object`);
+        }
+        for (const [provider, keys] of Object.entries(data.providers)) {
+            for (const [kid, record] of Object.entries(keys)) {
+                if (!record.jwk || record.jwk.kid !== kid) {
+                    throw new Error(`JWK trust store ${file}: invalid entry ${provider}/${kid}`);
+                }
+                keysFor(provider).set(kid, {
+                    kid,
+                    jwk: record.jwk,
+                    pinned: record.pinned === true,
+                    source: record.source || 'import',
+                    firstSeen: Date.parse(record.firstSeen) || Date.now(),
+                    lastSeen: Date.parse(record.lastSeen) || Date.now(),
+                    modulusChangedAt: Date.parse(record.modulusChangedAt) || null,
+                    history: (record.history || []).map(entry => ({
+                        jwk: entry.jwk,
+                        replacedAt: Date.parse(entry.replacedAt) || Date.now()
+                    }))
+                });
+            }
+        }
+    }
+
+    function serializeRecord(record) {
+        return {
+            jwk: record.jwk,
+            pinned: record.pinned,
+            source: record.source,
+            firstSeen: new Date(record.firstSeen).toISOString(),
+            lastSeen: new Date(record.lastSeen).toISOString(),
+            modulusChangedAt: record.modulusChangedAt ? new Date(record.modulusChangedAt).toISOString() : undefined,
+            history: record.history.length > 0
+                ? record.history.map(entry => ({ jwk: entry.jwk, replacedAt: new Date(entry.replacedAt).toISOString() }))
+                : undefined
+        };
+    }
+
+    // Replace a kid's key material, keeping the previous key in its history
+    function replaceKey(record, jwk, now) {
+        record.history.push({ jwk: record.jwk, replacedAt: now });
+        record.jwk = jwk;
+        record.modulusChangedAt = now;
+    }
+
+    // Write the store atomically (temp file + rename)
+    function persist() {
+        lastPersistedAt = Date.now();
+        if (!file) {
+            return;
+        }
+        const data = { version: STORE_VERSION, providers: {} };
+        for (const [provider, keys] of providers) {
+            data.providers[provider] = {};
+            for (const [kid, record] of keys) {
+                data.providers[provider][kid] = serializeRecord(record);
+            }
+        }
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, `${JSON.stringify(data, null, 4)}\n`);
+        fs.renameSync(tmpFile, file);
+    }
+
+    // Pinned key for provider/kid, or null
+    function getPinned(provider, kid) {
+        const record = providers.has(provider) ? providers.get(provider).get(kid) : null;
+        return record && record.pinned ? record.jwk : null;
+    }
+
+    // Add keys to the history or bump their lastSeen. Pinned key material is
+    // never replaced by what a live JWKS serves.
+    function recordSeen(provider, keys, source = 'live') {
+        const now = Date.now();
+        let changed = false;
+        for (const jwk of keys) {
+            if (!jwk || typeof jwk.kid !== 'string') {
+                continue;
+            }
+            const record = keysFor(provider).get(jwk.kid);
+            if (!record) {
+                keysFor(provider).set(jwk.kid, {
+                    kid: jwk.kid, jwk, pinned: false, source, firstSeen: now, lastSeen: now, modulusChangedAt: null, history: []
+                });
+                changed = true;
+                continue;
+            }
+            record.lastSeen = now;
+            if (record.jwk.n === jwk.n) {
+                continue;
+            }
+            if (record.pinned) {
+                logger.warn('Provider serves different key material for a pinned key, keeping the pinned key', { provider, kid: jwk.kid });
+            } else {
+                logger.warn('Provider key changed its modulus, keeping the previous key in its history', { provider, kid: jwk.kid });
+                replaceKey(record, jwk, now);
+                changed = true;
+            }
+        }
+        if (changed || now - lastPersistedAt >= LAST_SEEN_PERSIST_MS) {
+            persist();
+        }
+    }
+
+    // Pin keys for a provider (replacing any existing material for their kids;
+    // a different modulus moves the old key to the history)
+    function importKeys(provider, keys) {
+        const now = Date.now();
+        for (const jwk of keys) {
+            const record = keysFor(provider).get(jwk.kid);
+            if (!record) {
+                keysFor(provider).set(jwk.kid, {
+                    kid: jwk.kid, jwk, pinned: true, source: 'import', firstSeen: now, lastSeen: now, modulusChangedAt: null, history: []
+                });
+                continue;
+            }
+            if (record.jwk.n !== jwk.n) {
+                logger.warn('Imported key has a different modulus, keeping the previous key in its history', { provider, kid: jwk.kid });
+                replaceKey(record, jwk, now);
+            } else {
+                record.jwk = jwk;
+            }
+            record.pinned = true;
+        }
+        persist();
+        return keys.map(jwk => jwk.kid);
+    }
+
+    // { provider: [{ kid, pinned, source, firstSeen, lastSeen, jwk }] }
+    function list(provider) {
+        const result = {};
+        for (const [id, keys] of providers) {
+            if (provider && id !== provider) {
+                continue;
+            }
+            result[id] = [...keys.values()].map(record => ({ kid: record.kid, ...serializeRecord(record) }));
+        }
+        return result;
+    }
+
+    // First record whose current or earlier key matches predicate(jwk, provider),
+    // as { provider, kid, pinned, ... }; replacedAt is set when an earlier key matched
+    function find(predicate) {
+        for (const [provider, keys] of providers) {
+            for (const record of keys.values()) {
+                if (predicate(record.jwk, provider)) {
+                    return { provider, kid: record.kid, ...serializeRecord(record) };
+                }
+                const earlier = record.history.find(entry => predicate(entry.jwk, provider));
+                if (earlier) {
+                    return {
+                        provider,
+                        kid: record.kid,
+                        ...serializeRecord(record),
+                        jwk: earlier.jwk,
+                        replacedAt: new Date(earlier.replacedAt).toISOString()
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    function stats() {
+        const counts = {};
+        for (const [provider, keys] of providers) {
+            const records = [...keys.values()];
+            counts[provider] = {
+                pinned: records.filter(record => record.pinned).length,
+                modulusChanged: records.filter(record => record.modulusChangedAt).length,
+                total: records.length
+            };
+        }
+        return { file: file || null, providers: counts };
+    }
+
+    load();
+
+    return { getPinned, recordSeen, importKeys, list, find, stats };
+}
+
+module.exports = {
+    JWK_TRUST_MODES,
+    createJwkTrustStore
+};
@@ -0,0 +1,257 @@
+// Per-provider JWKS cache. The whole key set is cached with the TTL from the
+// response's Cache-Control max-age and refreshed in the background shortly
+// before it expires. When the provider is unreachable, the last key set keeps
+// serving for up to maxStaleMs. An unknown kid triggers at most one refetch
+// per provider every kidMissCooldownMs, so random kids cannot hammer the IdP.
+
+const axios = require('axios');
+const { logger, detachLogContext } = require('./logger');
+
+const DEFAULT_TTL_MS = 3600000; // Without Cache-Control: 1 hour
+const MIN_TTL_MS = 60000;
+const MAX_TTL_MS = 86400000;
+const REFRESH_AHEAD_RATIO = 0.1; // Refresh when 10% of the TTL is left
+const RETRY_MS = 30000; // Background refresh retry after a failure
+const FETCH_TIMEOUT = 10000;
+
+// Seconds of freshness from Cache-Control (max-age minus Age), or null
+function cacheControlMaxAge(headers) {
+    const cacheControl = headers['cache-control'] || '';
+    if (/(^|,)\s*(no-store|no-cache)\s*(,|$)/i.test(cacheControl)) {
+        return 0;
+    }
+    const match = cacheControl.match(/(?:^|,)\s*max-age\s*=\s*"?(\d+)"?/i);
+    if (!match) {
+        return null;
+    }
+    const age = parseInt(headers.age, 10) || 0;
+    return Math.max(0, parseInt(match[1], 10) - age);
+}
+
+// options: { resolveUri(provider) -> Promise<url>, maxStaleMs, kidMissCooldownMs,
+//            onFetch(provider, keys) called after each successful fetch }
+function createJwksCache({ resolveUri, maxStaleMs, kidMissCooldownMs, onFetch = () => {} }) {
+    // provider -> { keys, fetchedAt, expiresAt, lastMissRefetchAt, lastError, timer }
+    const entries = new Map();
+    const inflight = new Map(); // provider -> Promise<entry>
+    const counters = new Map(); // provider -> { hits, kidMisses, fetches, ... }
+
+    function count(provider, name) {
+        if (!counters.has(provider)) {
+            counters.set(provider, {
+                hits: 0,
+                kidMisses: 0,
+                fetches: 0,
+                fetchErrors: 0,
+                staleServed: 0,
+                missRefetchesThrottled: 0
+            });
+        }
+        counters.get(provider)[name]++;
+    }
+
+    async function fetchKeySet(provider) {
+        count(provider, 'fetches');
+        try {
+            const uri = await resolveUri(provider);
+            const response = await axios.get(uri, {
+                timeout: FETCH_TIMEOUT,
+                headers: {
+                    'User-Agent': 'zklogin-prover/1.0'
+                }
+            });
+
+            if (!response.data || !Array.isArray(response.data.keys)) {
+                throw new Error('Invalid JWKS response: missing keys array');
+            }
+
+            const maxAge = cacheControlMaxAge(response.headers || {});
+            const ttlMs = maxAge === null
+                ? DEFAULT_TTL_MS
+                : Math.min(MAX_TTL_MS, Math.max(MIN_TTL_MS, maxAge * 1000));
+            return { keys: response.data.keys, ttlMs };
+        } catch (error) {
+            count(provider, 'fetchErrors');
+            let message = error.message;
+            if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+                message = `Unable to connect to ${provider} JWK endpoint`;
+            } else if (error.response) {
+                message = `JWK fetch failed: ${error.response.status} ${error.response.statusText}`;
+            }
+            const fetchError = new Error(message);
+            fetchError.code = 'JWK_UNAVAILABLE';
+            throw fetchError;
+        }
+    }
+
+    // Run the background refresh at delayMs; the timer never keeps the process alive
+    function schedule(provider, entry, delayMs) {
+        clearTimeout(entry.timer);
+        entry.timer = detachLogContext(() => setTimeout(() => backgroundRefresh(provider), delayMs));
+        entry.timer.unref();
+    }
+
+    async function backgroundRefresh(provider) {
+        try {
+            await refresh(provider);
+        } catch (error) {
+            const entry = entries.get(provider);
+            if (!entry) {
+                return;
+            }
+            if (Date.now() < entry.expiresAt + maxStaleMs) {
+                logger.warn('JWKS refresh failed, retrying', { provider, error: error.message, retryInMs: RETRY_MS });
+                schedule(provider, entry, RETRY_MS);
+            } else {
+                logger.warn('JWKS past the stale limit, dropping cached keys', { provider });
+                entries.delete(provider);
+            }
+        }
+    }
+
+    // Fetch the key set, sharing one request between concurrent callers
+    function refresh(provider) {
+        if (inflight.has(provider)) {
+            return inflight.get(provider);
+        }
+
+        const promise = fetchKeySet(provider)
+            .then(({ keys, ttlMs }) => {
+                const now = Date.now();
+                const previous = entries.get(provider);
+                const entry = {
+                    keys,
+                    fetchedAt: now,
+                    expiresAt: now + ttlMs,
+                    lastMissRefetchAt: previous ? previous.lastMissRefetchAt : 0,
+                    lastError: null,
+                    timer: previous ? previous.timer : null
+                };
+                entries.set(provider, entry);
+                schedule(provider, entry, ttlMs * (1 - REFRESH_AHEAD_RATIO));
+                onFetch(provider, keys);
+                logger.info('Fetched JWKS', { provider, keys: keys.length, ttlMs });
+                return entry;
+            })
+            .catch(error => {
+                const entry = entries.get(provider);
+                if (entry) {
+                    entry.lastError = error.message;
+                }
+                throw error;
+            })
+            .finally(() => inflight.delete(provider));
+
+        inflight.set(provider, promise);
+        return promise;
+    }
+
+    // Current key set for a provider: fresh, refreshed, or stale within maxStaleMs
+    async function getEntry(provider) {
+        const entry = entries.get(provider);
+        if (!entry) {
+            return refresh(provider);
+        }
+
+        const now = Date.now();
+        if (now < entry.expiresAt) {
+            return entry;
+        }
+
+        try {
+            return await refresh(provider);
+        } catch (error) {
+            if (now < entry.expiresAt + maxStaleMs) {
+                count(provider, 'staleServed');
+                logger.warn('Serving stale JWKS', { provider, error: error.message });
+                return entry;
+            }
+            throw error;
+        }
+    }
+
+    // Key with the given kid. An unknown kid refetches the set (rate limited,
+    // counting the last fetch) in case the provider has rotated keys.
+    async function getKey(provider, keyId) {
+        let entry = await getEntry(provider);
+        let jwk = entry.keys.find(key => key.kid === keyId);
+        if (jwk) {
+            count(provider, 'hits');
+            return jwk;
+        }
+
+        count(provider, 'kidMisses');
+        const now = Date.now();
+        if (now - Math.max(entry.lastMissRefetchAt, entry.fetchedAt) >= kidMissCooldownMs) {
+            entry.lastMissRefetchAt = now;
+            try {
+                entry = await refresh(provider);
+                jwk = entry.keys.find(key => key.kid === keyId);
+            } catch (error) {
+                logger.warn('JWKS refetch for unknown kid failed', { provider, kid: keyId, error: error.message });
+            }
+        } else {
+            count(provider, 'missRefetchesThrottled');
+        }
+
+        if (!jwk) {
+            const error = new Error(`JWK not found for keyId: ${keyId}`);
+            error.code = 'JWK_NOT_FOUND';
+            throw error;
+        }
+        return jwk;
+    }
+
+    // Cached key set for a provider, fetched if needed
+    async function getKeySet(provider) {
+        const { keys, fetchedAt, expiresAt } = await getEntry(provider);
+        return { keys, fetchedAt, expiresAt };
+    }
+
+    function clear() {
+        for (const entry of entries.values()) {
+            clearTimeout(entry.timer);
+        }
+        entries.clear();
+    }
+
+    // Cache state and counters per provider, plus counter totals
+    function stats() {
+        const now = Date.now();
+        const providers = {};
+        const totals = {};
+        for (const [provider, providerCounters] of counters) {
+            providers[provider] = { cached: false, ...providerCounters };
+            for (const [name, value] of Object.entries(providerCounters)) {
+                totals[name] = (totals[name] || 0) + value;
+            }
+        }
+        for (const [provider, entry] of entries) {
+            Object.assign(providers[provider], {
+                cached: true,
+                keys: entry.keys.length,
+                fetchedAt: new Date(entry.fetchedAt).toISOString(),
+                expiresAt: new Date(entry.expiresAt).toISOString(),
+                stale: now >= entry.expiresAt,
+                lastError: entry.lastError || undefined
+            });
+        }
+        return { providers, ...totals };
+    }
+
+    // Refetch a provider's key set now (admin forced refresh)
+    async function forceRefresh(provider) {
+        const { keys, fetchedAt, expiresAt } = await refresh(provider);
+        return {
+            keys: keys.map(jwk => jwk.kid),
+            fetchedAt: new Date(fetchedAt).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    return { getKey, getKeySet, forceRefresh, clear, stats };
+}
+
+module.exports = {
+    createJwksCache
+};
@@ -0,0 +1,168 @@
+// Structured logger: one JSON object per line (LOG_FORMAT=pretty for local
+// development), filtered by LOG_LEVEL. Each line carries the current request
+// context (request id, job id), tracked with AsyncLocalStorage so library code
+// needs no plumbing. Fields and strings that can hold secrets (JWTs, salts,
+// randomness, key material) are redacted before anything is written.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+// Field names (lowercase) whose values are never logged
+const REDACTED_FIELDS = new Set([
+    'jwt', 'token', 'id_token', 'authorization',
+    'salt', 'jwtrandomness', 'randomness', 'masterseed',
+    'extendedephemeralpublickey', 'ephemeralpublickey', 'ephemeralpubkey', 'extendedpubkeybigint',
+    'inputs', 'circuitinputs',
+    // JWK private members
+    'd', 'p', 'q', 'dp', 'dq', 'qi'
+]);
+
+const REDACTED = '[REDACTED]';
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const DECIMAL_PATTERN = /\b\d{24,}\b/g; // Field elements and BigInts (salts, randomness, keys)
+const HEX_PATTERN = /\b(?:0x)?[0-9a-fA-F]{48,}\b/g; // Key bytes; shorter hex such as kids stays readable
+const BASE64_PATTERN = /[A-Za-z0-9+/_-]{40,}={0,2}/g;
+
+const requestContext = new AsyncLocalStorage();
+
+// Mask JWTs, long numbers and base64 blobs inside free text. Base64 runs are
+// only masked when they mix digits and both letter cases, which keeps paths
+// and identifiers readable.
+function redactString(value) {
+    return value
+        .replace(JWT_PATTERN, '[REDACTED_JWT]')
+        .replace(DECIMAL_PATTERN, REDACTED)
+        .replace(HEX_PATTERN, REDACTED)
+        .replace(BASE64_PATTERN, match => (
+            /[0-9]/.test(match) && /[a-z]/.test(match) && /[A-Z]/.test(match) ? REDACTED : match
+        ));
+}
+
+// Copy of value with secret fields and strings masked
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (typeof value === 'bigint') {
+        return REDACTED;
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= 6) {
+        return '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = REDACTED_FIELDS.has(key.toLowerCase()) && item !== undefined && item !== null
+            ? REDACTED
+            : redact(item, depth + 1);
+    }
+    return result;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(error.message || ''),
+        code: error.code,
+        stack: error.stack ? redactString(error.stack) : undefined
+    };
+}
+
+// options: { level, format, stream, errorStream }
+function createLogger({
+    level = 'info',
+    format = 'json',
+    stream = process.stdout,
+    errorStream = process.stderr
+} = {}) {
+    if (!(level in LOG_LEVELS)) {
+        throw new Error(`Invalid LOG_LEVEL: ${level}, expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Invalid LOG_FORMAT: ${format}, expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+    const threshold = LOG_LEVELS[level];
+
+    function formatPretty(entry) {
+        const { time, level: entryLevel, msg, requestId, ...fields } = entry;
+        const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        return `${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}`;
+    }
+
+    function write(entryLevel, msg, fields = {}, bound = {}) {
+        if (LOG_LEVELS[entryLevel] < threshold) {
+            return;
+        }
+        const { err, ...rest } = fields;
+        const entry = redact({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...requestContext.getStore(),
+            ...bound,
+            ...rest,
+            ...(err ? { err } : {})
+        });
+        const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        (LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? errorStream : stream).write(`${line}\n`);
+    }
+
+    // Logger that adds fields to every line
+    function child(bound) {
+        return {
+            debug: (msg, fields) => write('debug', msg, fields, bound),
+            info: (msg, fields) => write('info', msg, fields, bound),
+            warn: (msg, fields) => write('warn', msg, fields, bound),
+            error: (msg, fields) => write('error', msg, fields, bound),
+            child: more => child({ ...bound, ...more })
+        };
+    }
+
+    return child({});
+}
+
+// Run fn with context fields (e.g. requestId) attached to every log line
+function runWithLogContext(fields, fn) {
+    return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+// Add fields to the current context (e.g. the authenticated client id)
+function addLogContext(fields) {
+    const store = requestContext.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+// Run fn without the current context, for work that outlives the request
+// (timers, background refreshes)
+function detachLogContext(fn) {
+    return requestContext.exit(fn);
+}
+
+// Shared process logger, configured from LOG_LEVEL / LOG_FORMAT
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json'
+});
+
+module.exports = {
+    LOG_LEVELS,
+    redact,
+    createLogger,
+    runWithLogContext,
+    addLogContext,
+    detachLogContext,
+    logger
+};
@@ -0,0 +1,146 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4):
+// counters, gauges and histograms with labels. Metrics created with a
+// collect() function read their values at scrape time, e.g. from the stats()
+// of the prover pool or the JWKS cache.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    // Labels restricted to labelNames, in declaration order
+    function pickLabels(labelNames, labels = {}) {
+        const result = {};
+        for (const name of labelNames) {
+            if (labels[name] === undefined) {
+                throw new Error(`Missing metric label: ${name}`);
+            }
+            result[name] = labels[name];
+        }
+        return result;
+    }
+
+    function register(metric) {
+        if (metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) {
+            throw new Error(`Invalid metric name: ${metric.name}`);
+        }
+        metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    // Counter or gauge. collect() -> [{ labels, value }] replaces stored values.
+    function scalar(type, { name, help, labelNames = [], collect = null }) {
+        const series = new Map(); // key -> { labels, value }
+
+        function entry(labels) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(Object.values(picked));
+            if (!series.has(key)) {
+                series.set(key, { labels: picked, value: 0 });
+            }
+            return series.get(key);
+        }
+
+        function render() {
+            const samples = collect ? collect() : [...series.values()];
+            return samples.map(({ labels, value }) =>
+                `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatValue(value)}`);
+        }
+
+        register({ name, help, type, render });
+        return {
+            inc(labels, value = 1) {
+                entry(labels).value += value;
+            },
+            set(labels, value) {
+                entry(labels).value = value;
+            }
+        };
+    }
+
+    function counter(options) {
+        return scalar('counter', options);
+    }
+
+    function gauge(options) {
+        return scalar('gauge', options);
+    }
+
+    function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map(); // key -> { labels, counts, sum, count }
+
+        function observe(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            const key = JSON.stringify(Object.values(picked));
+            if (!series.has(key)) {
+                series.set(key, { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            bounds.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        function render() {
+            const lines = [];
+            for (const { labels, counts, sum, count } of series.values()) {
+                bounds.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+
+        register({ name, help, type: 'histogram', render });
+        return { observe };
+    }
+
+    // Text exposition of every metric
+    function render() {
+        const lines = [];
+        for (const metric of metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = {
+    createMetricsRegistry
+};
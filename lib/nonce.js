@@ -0,0 +1,20 @@
+const { poseidonHash } = require('./hash');
+
+// Number of low-order Poseidon bytes encoded into the nonce
+const NONCE_BYTES = 20;
+// Length of the base64url nonce (20 bytes, unpadded)
+const NONCE_LENGTH = 27;
+
+// zkLogin nonce: base64url of the low 20 bytes (big-endian) of
+// Poseidon(eph_pk_hi, eph_pk_lo, max_epoch, randomness), as generated by the wallet SDKs
+function computeNonce(ephemeralPubKeyHigh, ephemeralPubKeyLow, maxEpoch, jwtRandomness) {
+    const hash = poseidonHash([ephemeralPubKeyHigh, ephemeralPubKeyLow, maxEpoch, jwtRandomness]);
+    const hex = hash.toString(16).padStart(64, '0').slice(-NONCE_BYTES * 2);
+    return Buffer.from(hex, 'hex').toString('base64url');
+}
+
+module.exports = {
+    NONCE_BYTES,
+    NONCE_LENGTH,
+    computeNonce
+};
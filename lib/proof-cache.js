@@ -0,0 +1,107 @@
+// Bounded LRU cache of prover results keyed by a hash of the circuit inputs.
+// Entries expire at the JWT exp. Concurrent requests for the same key share
+// one computation. Only the key hash and the prover output (proof and public
+// signals) are stored, never the inputs themselves (JWT bytes, salt).
+
+const crypto = require('crypto');
+
+// Canonical JSON (sorted object keys) so equal inputs always hash the same
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Cache key for a set of circuit inputs
+function proofCacheKey(circuitInputs) {
+    return crypto.createHash('sha256').update(canonicalJSON(circuitInputs)).digest('hex');
+}
+
+// options: { maxEntries } (0 disables caching and in-flight sharing)
+function createProofCache({ maxEntries }) {
+    const entries = new Map(); // key -> { value, expiresAt }, least recently used first
+    const inflight = new Map(); // key -> Promise
+    const counters = { hits: 0, inflightHits: 0, misses: 0 };
+
+    function lookup(key, now) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        entries.delete(key);
+        if (entry.expiresAt <= now) {
+            return null;
+        }
+        entries.set(key, entry);
+        return entry.value;
+    }
+
+    function store(key, value, expiresAt) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // Return the cached result for key, join an identical in-flight computation,
+    // or run compute(). expiresAt (ms) bounds how long the result is kept; results
+    // without a future expiry are not stored.
+    // Resolves with { value, cache: 'hit' | 'inflight' | 'miss' }.
+    async function getOrCompute(key, expiresAt, compute) {
+        if (maxEntries <= 0) {
+            return { value: await compute(), cache: 'miss' };
+        }
+
+        const now = Date.now();
+        const cached = lookup(key, now);
+        if (cached) {
+            counters.hits++;
+            return { value: cached, cache: 'hit' };
+        }
+
+        if (inflight.has(key)) {
+            counters.inflightHits++;
+            return { value: await inflight.get(key), cache: 'inflight' };
+        }
+
+        counters.misses++;
+        const promise = compute();
+        inflight.set(key, promise);
+        try {
+            const value = await promise;
+            if (expiresAt && expiresAt > Date.now()) {
+                store(key, value, expiresAt);
+            }
+            return { value, cache: 'miss' };
+        } finally {
+            inflight.delete(key);
+        }
+    }
+
+    function clear() {
+        entries.clear();
+    }
+
+    function stats() {
+        return {
+            entries: entries.size,
+            maxEntries,
+            inflight: inflight.size,
+            ...counters
+        };
+    }
+
+    return { getOrCompute, clear, stats };
+}
+
+module.exports = {
+    proofCacheKey,
+    createProofCache
+};
@@ -0,0 +1,47 @@
+// Conversion between snarkjs Groth16 proofs and the zkLogin proofPoints format.
+// proofPoints drop the projective coordinate and store each G2 coordinate as
+// [c0, c1] swapped relative to snarkjs.
+
+const DECIMAL = /^\d+$/;
+
+// snarkjs proof -> proofPoints
+function toProofPoints(proof) {
+    return {
+        a: [proof.pi_a[0], proof.pi_a[1]],
+        b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+        c: [proof.pi_c[0], proof.pi_c[1]]
+    };
+}
+
+// Check a value is an array of decimal strings with the given length
+function isDecimalArray(value, length) {
+    return Array.isArray(value) &&
+        value.length === length &&
+        value.every(item => typeof item === 'string' && DECIMAL.test(item));
+}
+
+// proofPoints -> snarkjs proof (inverse of toProofPoints)
+function fromProofPoints(proofPoints) {
+    if (!proofPoints ||
+        !isDecimalArray(proofPoints.a, 2) ||
+        !Array.isArray(proofPoints.b) || proofPoints.b.length !== 2 ||
+        !proofPoints.b.every(point => isDecimalArray(point, 2)) ||
+        !isDecimalArray(proofPoints.c, 2)) {
+        throw new Error('proofPoints must contain a[2], b[2][2] and c[2] as decimal strings');
+    }
+
+    const { a, b, c } = proofPoints;
+    return {
+        pi_a: [a[0], a[1], '1'],
+        pi_b: [[b[0][1], b[0][0]], [b[1][1], b[1][0]], ['1', '0']],
+        pi_c: [c[0], c[1], '1'],
+        protocol: 'groth16',
+        curve: 'bn128'
+    };
+}
+
+module.exports = {
+    toProofPoints,
+    fromProofPoints,
+    isDecimalArray
+};
@@ -0,0 +1,147 @@
+// Fixed-size pool of proving worker threads with a bounded FIFO queue.
+// Proofs run off the Express event loop; when every worker is busy and the
+// queue is full, prove() rejects with code PROVER_QUEUE_FULL.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('./logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'prover-worker.js');
+const DEFAULT_JOB_MS = 10000; // Estimate used for Retry-After before any job completes
+
+// options: { size, maxQueue, config } where config is passed to generateProof;
+// each job adds the { wasmPath, zkeyPath } of its circuit
+function createProverPool({ size, maxQueue, config }) {
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    let nextJobId = 1;
+    let averageJobMs = DEFAULT_JOB_MS;
+    let closed = false;
+
+    // Start a worker and keep it in the pool, replacing it if it exits
+    function spawnWorker() {
+        // snarkjs loads the web-worker package, which treats any worker thread as
+        // its own and requires workerData.mod; pointing it at this script makes
+        // that a no-op (the module is already loaded)
+        const worker = new Worker(WORKER_SCRIPT, { workerData: { mod: WORKER_SCRIPT, config } });
+        const slot = { worker, job: null };
+
+        worker.on('message', ({ id, stage, result, error }) => {
+            const job = slot.job;
+            if (!job || job.id !== id) {
+                return;
+            }
+            if (stage) {
+                job.onStage(stage);
+                return;
+            }
+            slot.job = null;
+
+            if (error) {
+                const jobError = new Error(error.message);
+                jobError.code = error.code;
+                job.reject(jobError);
+            } else {
+                averageJobMs = Math.round(0.8 * averageJobMs + 0.2 * result.provingTimeMs);
+                job.resolve(result);
+            }
+            release(slot);
+        });
+
+        worker.on('error', error => {
+            logger.error('Prover worker error', { err: error });
+        });
+
+        worker.on('exit', code => {
+            workers.splice(workers.indexOf(slot), 1);
+            const idleIndex = idle.indexOf(slot);
+            if (idleIndex !== -1) {
+                idle.splice(idleIndex, 1);
+            }
+            if (slot.job) {
+                slot.job.reject(new Error(`Prover worker exited with code ${code}`));
+                slot.job = null;
+            }
+            if (!closed) {
+                release(spawnWorker());
+            }
+        });
+
+        workers.push(slot);
+        return slot;
+    }
+
+    // Hand the next queued job to a free worker, or mark it idle
+    function release(slot) {
+        const job = queue.shift();
+        if (job) {
+            run(slot, job);
+        } else {
+            idle.push(slot);
+        }
+    }
+
+    function run(slot, job) {
+        slot.job = job;
+        slot.worker.postMessage({ id: job.id, inputs: job.inputs, artifacts: job.artifacts });
+    }
+
+    // Queue a proof for the circuit artifacts { wasmPath, zkeyPath }; resolves with
+    // { proof, publicSignals, backend, witnessTimeMs, provingTimeMs }.
+    // onStage(stage) reports progress from the worker ('proving' after the witness).
+    function prove(inputs, artifacts, { onStage = () => {} } = {}) {
+        return new Promise((resolve, reject) => {
+            if (closed) {
+                reject(new Error('Prover pool is closed'));
+                return;
+            }
+
+            const job = { id: nextJobId++, inputs, artifacts, onStage, resolve, reject };
+            const slot = idle.shift();
+            if (slot) {
+                run(slot, job);
+            } else if (queue.length < maxQueue) {
+                queue.push(job);
+            } else {
+                const error = new Error(`Prover queue is full (${maxQueue} waiting), try again later`);
+                error.code = 'PROVER_QUEUE_FULL';
+                error.retryAfter = retryAfterSeconds();
+                reject(error);
+            }
+        });
+    }
+
+    // Seconds until a queue slot is likely to free up
+    function retryAfterSeconds() {
+        return Math.max(1, Math.ceil(averageJobMs / 1000));
+    }
+
+    function stats() {
+        return {
+            workers: workers.length,
+            activeWorkers: workers.filter(slot => slot.job).length,
+            queueDepth: queue.length,
+            maxQueue,
+            averageJobMs
+        };
+    }
+
+    async function close() {
+        closed = true;
+        for (const job of queue.splice(0)) {
+            job.reject(new Error('Prover pool is closed'));
+        }
+        await Promise.all(workers.map(slot => slot.worker.terminate()));
+    }
+
+    for (let i = 0; i < size; i++) {
+        release(spawnWorker());
+    }
+
+    return { prove, stats, close };
+}
+
+module.exports = {
+    createProverPool
+};
@@ -0,0 +1,19 @@
+// Proving worker thread: runs generateProof for jobs posted by lib/prover-pool.js
+
+const { parentPort, workerData } = require('worker_threads');
+const { generateProof } = require('./prover');
+
+parentPort.on('message', async ({ id, inputs, artifacts }) => {
+    const startTime = Date.now();
+    try {
+        // The pool provides the parallelism, so snarkjs runs single-threaded here
+        const result = await generateProof(
+            inputs,
+            { ...workerData.config, ...artifacts, singleThread: true },
+            stage => parentPort.postMessage({ id, stage })
+        );
+        parentPort.postMessage({ id, result: { ...result, provingTimeMs: Date.now() - startTime } });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, code: error.code } });
+    }
+});
@@ -0,0 +1,102 @@
+// Groth16 proving backends: native rapidsnark, with snarkjs as the fallback.
+// Both prove from the same witness file, so a rapidsnark failure does not
+// repeat the witness computation.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const snarkjs = require('snarkjs');
+const { logger } = require('./logger');
+
+const execFileAsync = promisify(execFile);
+
+const PROVER_BACKENDS = ['rapidsnark', 'snarkjs'];
+const RAPIDSNARK_TIMEOUT_MS = 120000;
+
+// Check the rapidsnark binary exists and is executable
+function isRapidsnarkAvailable(rapidsnarkPath) {
+    try {
+        fs.accessSync(rapidsnarkPath, fs.constants.X_OK);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Run the native prover on a witness file and read its proof / public signals
+async function proveWithRapidsnark(config, witnessPath, jobId) {
+    const proofPath = path.join(config.outputDir, `${jobId}_proof.json`);
+    const publicPath = path.join(config.outputDir, `${jobId}_public.json`);
+
+    try {
+        await execFileAsync(
+            config.rapidsnarkPath,
+            [config.zkeyPath, witnessPath, proofPath, publicPath],
+            { timeout: RAPIDSNARK_TIMEOUT_MS }
+        );
+
+        return {
+            proof: JSON.parse(await fs.promises.readFile(proofPath, 'utf8')),
+            publicSignals: JSON.parse(await fs.promises.readFile(publicPath, 'utf8'))
+        };
+    } finally {
+        await Promise.all([proofPath, publicPath].map(file => fs.promises.rm(file, { force: true })));
+    }
+}
+
+// Compute the witness and prove with the configured backend.
+// config: { backend, wasmPath, zkeyPath, rapidsnarkPath, outputDir, singleThread }
+// singleThread keeps snarkjs from starting its own workers (required inside a worker thread).
+// onStage('proving') is called once the witness has been computed.
+// Resolves with { proof, publicSignals, backend, witnessTimeMs }.
+async function generateProof(inputs, config, onStage = () => {}) {
+    const jobId = crypto.randomUUID();
+    const witnessPath = path.join(config.outputDir, `${jobId}.wtns`);
+
+    await fs.promises.mkdir(config.outputDir, { recursive: true });
+
+    try {
+        const witnessStart = Date.now();
+        await snarkjs.wtns.calculate(inputs, config.wasmPath, witnessPath);
+        const witnessTimeMs = Date.now() - witnessStart;
+        onStage('proving');
+
+        if (config.backend === 'rapidsnark') {
+            if (isRapidsnarkAvailable(config.rapidsnarkPath)) {
+                try {
+                    const result = await proveWithRapidsnark(config, witnessPath, jobId);
+                    return { ...result, backend: 'rapidsnark', witnessTimeMs };
+                } catch (error) {
+                    logger.warn('rapidsnark failed, falling back to snarkjs', { error: error.message });
+                }
+            } else {
+                logger.warn('rapidsnark binary not found, falling back to snarkjs', { rapidsnarkPath: config.rapidsnarkPath });
+            }
+        }
+
+        const result = await snarkjs.groth16.prove(config.zkeyPath, witnessPath, undefined, {
+            singleThread: config.singleThread
+        });
+        return { ...result, backend: 'snarkjs', witnessTimeMs };
+    } finally {
+        await fs.promises.rm(witnessPath, { force: true });
+    }
+}
+
+// Configured and effective backend, for health reporting
+function proverStatus(config) {
+    const rapidsnarkAvailable = isRapidsnarkAvailable(config.rapidsnarkPath);
+    return {
+        backend: config.backend,
+        rapidsnarkAvailable,
+        effectiveBackend: config.backend === 'rapidsnark' && rapidsnarkAvailable ? 'rapidsnark' : 'snarkjs'
+    };
+}
+
+module.exports = {
+    PROVER_BACKENDS,
+    generateProof,
+    proverStatus
+};
@@ -0,0 +1,291 @@
+// OIDC provider registry. Providers are loaded from a JSON file
+// (OIDC_PROVIDERS_FILE) or inline JSON (OIDC_PROVIDERS), falling back to the
+// built-in defaults. Each provider's JWKS URI is resolved through OpenID
+// Connect discovery, with the configured jwksUri as a fallback.
+//
+// Provider config: { name, issuer, oidcConfig?, jwksUri?, issuerAliases?, audiences }
+// - issuer is matched exactly. Multi-tenant IdPs use a template where {name}
+//   stands for one path segment, e.g. https://login.microsoftonline.com/{tid}/v2.0;
+//   templates need an explicit oidcConfig.
+// - issuerAliases are other exact iss values the provider emits.
+// - audiences are our OAuth client IDs; tokens for any other aud are rejected.
+// oidcConfig defaults to <issuer>/.well-known/openid-configuration.
+
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const DEFAULT_PROVIDERS = {
+    google: {
+        name: 'Google',
+        issuer: 'https://accounts.google.com',
+        issuerAliases: ['accounts.google.com'],
+        oidcConfig: 'https://accounts.google.com/.well-known/openid-configuration',
+        jwksUri: 'https://www.googleapis.com/oauth2/v3/certs'
+    },
+    facebook: {
+        name: 'Facebook',
+        issuer: 'https://www.facebook.com',
+        oidcConfig: 'https://www.facebook.com/.well-known/openid-configuration/',
+        jwksUri: 'https://www.facebook.com/.well-known/oauth/openid-connect/certs/'
+    },
+    apple: {
+        name: 'Apple',
+        issuer: 'https://appleid.apple.com',
+        oidcConfig: 'https://appleid.apple.com/.well-known/openid-configuration',
+        jwksUri: 'https://appleid.apple.com/auth/keys'
+    }
+};
+
+const DISCOVERY_TTL = 3600000; // 1 hour
+const DISCOVERY_TIMEOUT = 5000;
+const ISSUER_PLACEHOLDER = /\{[A-Za-z0-9_]+\}/g;
+
+// URLs must be https, except http on localhost for local / staging IdPs
+function validateUrl(value, field, providerId) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`Provider ${providerId}: ${field} is not a valid URL`);
+    }
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+        throw new Error(`Provider ${providerId}: ${field} must use https`);
+    }
+    return value;
+}
+
+// Regex for an issuer template: literal text, each {name} one path segment
+function issuerTemplatePattern(issuer) {
+    const source = issuer
+        .split(ISSUER_PLACEHOLDER)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('[A-Za-z0-9._-]+');
+    return new RegExp(`^${source}$`);
+}
+
+// Check an optional config field is an array of non-empty strings
+function stringList(value, field, providerId) {
+    if (value === undefined) {
+        return [];
+    }
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.length > 0)) {
+        throw new Error(`Provider ${providerId}: ${field} must be an array of non-empty strings`);
+    }
+    return [...value];
+}
+
+// Validate one provider entry and fill in defaults
+function normalizeProvider(id, config) {
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+        throw new Error(`Invalid provider id: ${id} (use lowercase letters, digits, '-' and '_')`);
+    }
+    if (!config || typeof config.issuer !== 'string') {
+        throw new Error(`Provider ${id}: missing issuer`);
+    }
+
+    const issuer = config.issuer;
+    const isTemplate = issuer.match(ISSUER_PLACEHOLDER) !== null;
+    validateUrl(issuer.replace(ISSUER_PLACEHOLDER, 'tenant'), 'issuer', id);
+    if (isTemplate && !config.oidcConfig) {
+        throw new Error(`Provider ${id}: issuer templates require an explicit oidcConfig`);
+    }
+
+    return {
+        id,
+        name: config.name || id,
+        issuer,
+        issuerPattern: isTemplate ? issuerTemplatePattern(issuer) : null,
+        issuerAliases: stringList(config.issuerAliases, 'issuerAliases', id),
+        audiences: stringList(config.audiences, 'audiences', id),
+        oidcConfig: validateUrl(
+            config.oidcConfig || `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+            'oidcConfig',
+            id
+        ),
+        jwksUri: config.jwksUri ? validateUrl(config.jwksUri, 'jwksUri', id) : null
+    };
+}
+
+// Read provider configs from a file path or inline JSON, or use the defaults.
+// audiences (JSON { providerId: [clientId, ...] }) sets or replaces each
+// provider's audience allowlist.
+function loadProviderConfigs({ file, json, audiences } = {}) {
+    let configs = DEFAULT_PROVIDERS;
+    if (file) {
+        configs = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else if (json) {
+        configs = JSON.parse(json);
+    }
+
+    if (!configs || typeof configs !== 'object' || Object.keys(configs).length === 0) {
+        throw new Error('OIDC provider configuration must be a non-empty object');
+    }
+
+    if (audiences) {
+        const overrides = JSON.parse(audiences);
+        configs = { ...configs };
+        for (const [id, list] of Object.entries(overrides)) {
+            if (!configs[id]) {
+                throw new Error(`Audiences configured for unknown provider: ${id}`);
+            }
+            configs[id] = { ...configs[id], audiences: list };
+        }
+    }
+    return configs;
+}
+
+// Placeholder names do not matter when comparing issuer templates
+function sameIssuerTemplate(a, b) {
+    return typeof a === 'string' && typeof b === 'string' &&
+        a.replace(ISSUER_PLACEHOLDER, '{}') === b.replace(ISSUER_PLACEHOLDER, '{}');
+}
+
+function providerError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Build the registry from { id: config }
+function createProviderRegistry(configs) {
+    const providers = new Map();
+    for (const [id, config] of Object.entries(configs)) {
+        providers.set(id, normalizeProvider(id, config));
+    }
+
+    const discoveryCache = new Map(); // id -> { document, timestamp }
+
+    function get(id) {
+        return providers.get(id) || null;
+    }
+
+    function list() {
+        return [...providers.values()];
+    }
+
+    // Provider whose issuer (or template / alias) matches iss exactly, or null
+    function findByIssuer(iss) {
+        if (typeof iss !== 'string') {
+            return null;
+        }
+        for (const provider of providers.values()) {
+            if (iss === provider.issuer ||
+                provider.issuerAliases.includes(iss) ||
+                (provider.issuerPattern && provider.issuerPattern.test(iss))) {
+                return provider;
+            }
+        }
+        return null;
+    }
+
+    // The issuer a user is known by: the provider's issuer for it and its
+    // aliases, or the iss itself for a template match (one issuer per tenant)
+    function canonicalIssuer(iss) {
+        const provider = findByIssuer(iss);
+        if (!provider) {
+            return null;
+        }
+        return provider.issuerPattern && provider.issuerPattern.test(iss) ? iss : provider.issuer;
+    }
+
+    // Check the token's aud (and azp for multiple audiences) against the
+    // provider's client IDs, following OpenID Connect Core 3.1.3.7.
+    // Returns the matching client ID.
+    function checkAudience(id, payload) {
+        const provider = get(id);
+        if (!provider) {
+            throw new Error(`Unsupported OAuth provider: ${id}`);
+        }
+        if (provider.audiences.length === 0) {
+            throw providerError('AUDIENCE_NOT_CONFIGURED', `No client IDs (audiences) configured for provider: ${id}`);
+        }
+
+        const { aud, azp } = payload;
+        if (typeof aud === 'string') {
+            if (!provider.audiences.includes(aud)) {
+                throw providerError('AUDIENCE_NOT_ALLOWED', `Token audience is not an allowed client ID: ${aud}`);
+            }
+            return aud;
+        }
+
+        if (!Array.isArray(aud) || aud.length === 0) {
+            throw providerError('AUDIENCE_NOT_ALLOWED', 'Token audience must be a string or non-empty array');
+        }
+        const untrusted = aud.filter(value => !provider.audiences.includes(value));
+        if (untrusted.length > 0) {
+            throw providerError('AUDIENCE_NOT_ALLOWED', `Token lists untrusted audiences: ${untrusted.join(', ')}`);
+        }
+        if (aud.length > 1) {
+            if (typeof azp !== 'string' || !provider.audiences.includes(azp)) {
+                throw providerError('AUDIENCE_NOT_ALLOWED', 'Tokens with multiple audiences need an azp that is an allowed client ID');
+            }
+            return azp;
+        }
+        return aud[0];
+    }
+
+    // Fetch (or reuse) the provider's discovery document. The document's issuer
+    // must match the configured issuer, as OpenID Connect Discovery requires.
+    async function discover(id, { refresh = false } = {}) {
+        const provider = get(id);
+        if (!provider) {
+            throw new Error(`Unsupported OAuth provider: ${id}`);
+        }
+
+        const cached = discoveryCache.get(id);
+        if (!refresh && cached && Date.now() - cached.timestamp < DISCOVERY_TTL) {
+            return cached.document;
+        }
+
+        const response = await axios.get(provider.oidcConfig, {
+            timeout: DISCOVERY_TIMEOUT,
+            headers: {
+                'User-Agent': 'zklogin-prover/1.0'
+            }
+        });
+        const document = response.data;
+
+        if (!document || !sameIssuerTemplate(document.issuer, provider.issuer)) {
+            throw new Error(`Discovery issuer mismatch for ${id}: expected ${provider.issuer}, got ${document && document.issuer}`);
+        }
+        if (typeof document.jwks_uri !== 'string') {
+            throw new Error(`Discovery document for ${id} has no jwks_uri`);
+        }
+        validateUrl(document.jwks_uri, 'jwks_uri', id);
+
+        discoveryCache.set(id, { document, timestamp: Date.now() });
+        return document;
+    }
+
+    // JWKS URI from discovery, or the configured jwksUri when discovery fails
+    async function resolveJwksUri(id) {
+        const provider = get(id);
+        if (!provider) {
+            throw new Error(`Unsupported OAuth provider: ${id}`);
+        }
+
+        try {
+            return (await discover(id)).jwks_uri;
+        } catch (error) {
+            if (!provider.jwksUri) {
+                throw new Error(`OIDC discovery failed for ${id}: ${error.message}`);
+            }
+            logger.warn('OIDC discovery failed, using configured jwksUri', { provider: id, error: error.message });
+            return provider.jwksUri;
+        }
+    }
+
+    function clearDiscoveryCache() {
+        discoveryCache.clear();
+    }
+
+    return { get, list, findByIssuer, canonicalIssuer, checkAudience, discover, resolveJwksUri, clearDiscoveryCache };
+}
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    loadProviderConfigs,
+    createProviderRegistry
+};
@@ -0,0 +1,110 @@
+// In-memory request limits: token buckets (a burst that refills at a steady
+// rate) and daily quotas that reset at UTC midnight. State is per process;
+// idle entries are swept once the maps grow past SWEEP_THRESHOLD.
+
+const SWEEP_THRESHOLD = 10000;
+const DAY_MS = 86400000;
+
+// Token buckets keyed by client / subject. Each take() passes the policy
+// { burst, perMinute }, so keys can have different limits.
+function createRateLimiter() {
+    const buckets = new Map(); // key -> { tokens, updatedAt, burst, refillPerMs }
+
+    // Drop buckets that have refilled completely (same as a fresh bucket)
+    function sweep(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.burst) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    // Take one token. Returns the values for the RateLimit-* headers:
+    // { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+    function take(key, { burst, perMinute }, now = Date.now()) {
+        const refillPerMs = perMinute / 60000;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            if (buckets.size >= SWEEP_THRESHOLD) {
+                sweep(now);
+            }
+            bucket = { tokens: burst, updatedAt: now, burst, refillPerMs };
+            buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        bucket.burst = burst;
+        bucket.refillPerMs = refillPerMs;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+        return {
+            allowed,
+            limit: burst,
+            remaining: Math.floor(bucket.tokens),
+            resetSeconds: Math.ceil((burst - bucket.tokens) / refillPerMs / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000))
+        };
+    }
+
+    function stats() {
+        return { buckets: buckets.size };
+    }
+
+    return { take, stats };
+}
+
+// Counters per key that reset at UTC midnight
+function createDailyQuota() {
+    const usage = new Map(); // key -> { day, count }
+
+    function consume(key, limit, now = Date.now()) {
+        const day = Math.floor(now / DAY_MS);
+        if (usage.size >= SWEEP_THRESHOLD) {
+            for (const [usageKey, entry] of usage) {
+                if (entry.day !== day) {
+                    usage.delete(usageKey);
+                }
+            }
+        }
+
+        let entry = usage.get(key);
+        if (!entry || entry.day !== day) {
+            entry = { day, count: 0 };
+            usage.set(key, entry);
+        }
+
+        const allowed = entry.count < limit;
+        if (allowed) {
+            entry.count++;
+        }
+        return {
+            allowed,
+            limit,
+            remaining: limit - entry.count,
+            resetSeconds: Math.ceil(((day + 1) * DAY_MS - now) / 1000)
+        };
+    }
+
+    // Proofs used today per key
+    function usageToday(now = Date.now()) {
+        const day = Math.floor(now / DAY_MS);
+        const result = {};
+        for (const [key, entry] of usage) {
+            if (entry.day === day) {
+                result[key] = entry.count;
+            }
+        }
+        return result;
+    }
+
+    return { consume, usageToday };
+}
+
+module.exports = {
+    createRateLimiter,
+    createDailyQuota
+};
@@ -0,0 +1,176 @@
+// Replay store: binds each JWT (fingerprint of iss, sub and jti / nonce) to the
+// first salt and key claim it was proven for, until the JWT expires. The nonce
+// already ties a JWT to one ephemeral key and maxEpoch, but not to an address,
+// so a leaked token (with its randomness) cannot be proven for another address.
+//
+// Stores are pluggable. Any object with these async methods works:
+//   bind(fingerprint, binding, expiresAt) -> { accepted, boundAt }
+//     Records binding for fingerprint until expiresAt (ms) unless a different
+//     binding is already recorded; accepted is false in that case.
+//   stats() -> { backend, records, ... }
+// Built in: in-memory (default) and a JSON file (REPLAY_STORE_FILE):
+// { version: 1, records: { <fingerprint>: { binding, boundAt, expiresAt } } }
+// The file is rewritten in the background at most every flushDelayMs, so
+// bindings made just before a crash can be lost.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const STORE_VERSION = 1;
+const SWEEP_THRESHOLD = 10000;
+const DEFAULT_TTL_MS = 86400000; // Tokens without exp are remembered for a day
+const DEFAULT_FLUSH_DELAY_MS = 1000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Fingerprint of a JWT: issuer, subject and its jti (or the nonce when there is none)
+function jwtFingerprint(payload) {
+    const id = payload.jti !== undefined ? ['jti', payload.jti] : ['nonce', payload.nonce];
+    return sha256([payload.iss, payload.sub, ...id]);
+}
+
+// What a JWT is bound to: the salt and key claim name, which with the JWT
+// decide the zkLogin address
+function addressBinding(salt, keyClaimName) {
+    return sha256([String(salt), keyClaimName]);
+}
+
+// Record expiry for a JWT payload: its exp, or DEFAULT_TTL_MS from now
+function replayExpiry(payload, now = Date.now()) {
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : now + DEFAULT_TTL_MS;
+}
+
+// In-memory records; onChange(records) is called after every new binding
+function createMemoryReplayStore({ records = new Map(), onChange = () => {}, backend = 'memory' } = {}) {
+    const counters = { accepted: 0, rejected: 0 };
+
+    function sweep(now) {
+        for (const [fingerprint, record] of records) {
+            if (record.expiresAt <= now) {
+                records.delete(fingerprint);
+            }
+        }
+    }
+
+    async function bind(fingerprint, binding, expiresAt) {
+        const now = Date.now();
+        const record = records.get(fingerprint);
+        if (record && record.expiresAt > now) {
+            const accepted = record.binding === binding;
+            counters[accepted ? 'accepted' : 'rejected']++;
+            return { accepted, boundAt: record.boundAt };
+        }
+
+        if (records.size >= SWEEP_THRESHOLD) {
+            sweep(now);
+        }
+        records.set(fingerprint, { binding, boundAt: now, expiresAt });
+        counters.accepted++;
+        onChange(records, now);
+        return { accepted: true, boundAt: now };
+    }
+
+    async function stats() {
+        return { backend, records: records.size, ...counters };
+    }
+
+    return { bind, stats };
+}
+
+// Records persisted to a JSON file. New bindings mark the store dirty; the
+// file is rewritten (atomically, off the request path) flushDelayMs later,
+// one write at a time.
+function createFileReplayStore({ file, flushDelayMs = DEFAULT_FLUSH_DELAY_MS }) {
+    const records = new Map();
+
+    if (fs.existsSync(file)) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!data || data.version !== STORE_VERSION || typeof data.records !== 'object') {
+            throw new Error(`Replay store ${file}: expected version ${STORE_VERSION} with a records object`);
+        }
+        const now = Date.now();
+        for (const [fingerprint, record] of Object.entries(data.records)) {
+            if (record.expiresAt > now) {
+                records.set(fingerprint, record);
+            }
+        }
+    }
+
+    let timer = null;
+    let writing = null; // Promise of the write in progress
+    let dirty = false;
+    const writeCounters = { writes: 0, writeErrors: 0 };
+
+    async function write() {
+        const now = Date.now();
+        const data = { version: STORE_VERSION, records: {} };
+        for (const [fingerprint, record] of records) {
+            if (record.expiresAt > now) {
+                data.records[fingerprint] = record;
+            }
+        }
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, `${JSON.stringify(data)}\n`);
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    // Write the current records if any changed since the last write
+    async function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        while (writing) {
+            await writing;
+        }
+        if (!dirty) {
+            return;
+        }
+        dirty = false;
+        writing = write()
+            .then(() => {
+                writeCounters.writes++;
+            })
+            .catch(error => {
+                writeCounters.writeErrors++;
+                dirty = true;
+                logger.error('Replay store write failed', { err: error, file });
+            })
+            .finally(() => {
+                writing = null;
+            });
+        await writing;
+    }
+
+    function scheduleFlush() {
+        dirty = true;
+        if (!timer) {
+            timer = setTimeout(flush, flushDelayMs);
+            timer.unref();
+        }
+    }
+
+    const store = createMemoryReplayStore({ records, onChange: scheduleFlush, backend: 'file' });
+    return {
+        ...store,
+        flush,
+        stats: async () => ({ ...await store.stats(), file, pendingWrite: dirty, ...writeCounters })
+    };
+}
+
+// options: { file, flushDelayMs } (omit file for the in-memory store)
+function createReplayStore({ file, flushDelayMs } = {}) {
+    return file ? createFileReplayStore({ file, flushDelayMs }) : createMemoryReplayStore();
+}
+
+module.exports = {
+    jwtFingerprint,
+    addressBinding,
+    replayExpiry,
+    createMemoryReplayStore,
+    createFileReplayStore,
+    createReplayStore
+};
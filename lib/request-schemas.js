@@ -0,0 +1,97 @@
+// JSON schemas for the API request bodies (validated by lib/schema.js before
+// any JWT or key handling). Unknown fields are ignored so older clients that
+// send extra fields keep working.
+
+const DECIMAL = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 78, // 2^256 has 78 decimal digits
+    pattern: '^[0-9]+$',
+    patternMessage: 'must be a decimal string'
+};
+
+const JWT = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 16384,
+    pattern: '^[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*$',
+    patternMessage: 'must be a compact JWS (header.payload.signature, base64url)'
+};
+
+const KEY_CLAIM_NAME = { type: 'string', minLength: 1, maxLength: 32 };
+
+// Circuit id (<name>@<version>) or bare name; the default circuit when omitted
+const CIRCUIT = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    pattern: '^[a-z0-9_-]+(@[1-9][0-9]*)?$',
+    patternMessage: 'must be a circuit name, optionally with @<version>'
+};
+
+const EPHEMERAL_KEY = { type: 'string', minLength: 1, maxLength: 128 };
+
+const POINT = { type: 'array', minItems: 2, maxItems: 2, items: DECIMAL };
+
+const PROVE_REQUEST = {
+    type: 'object',
+    required: ['jwt', 'extendedEphemeralPublicKey', 'maxEpoch', 'jwtRandomness'],
+    properties: {
+        jwt: JWT,
+        // Base64 flag || public key
+        extendedEphemeralPublicKey: EPHEMERAL_KEY,
+        maxEpoch: {
+            anyOf: [
+                { type: 'integer', minimum: 0 },
+                { ...DECIMAL, maxLength: 20 }
+            ]
+        },
+        jwtRandomness: DECIMAL,
+        salt: DECIMAL,
+        keyClaimName: KEY_CLAIM_NAME,
+        circuit: CIRCUIT
+    }
+};
+
+const SALT_REQUEST = {
+    type: 'object',
+    required: ['jwt'],
+    properties: { jwt: JWT }
+};
+
+const ADDRESS_REQUEST = {
+    type: 'object',
+    required: ['jwt', 'salt'],
+    properties: {
+        jwt: JWT,
+        salt: DECIMAL,
+        keyClaimName: KEY_CLAIM_NAME
+    }
+};
+
+const VERIFY_REQUEST = {
+    type: 'object',
+    required: ['proofPoints', 'publicSignals'],
+    properties: {
+        proofPoints: {
+            type: 'object',
+            required: ['a', 'b', 'c'],
+            properties: {
+                a: POINT,
+                b: { type: 'array', minItems: 2, maxItems: 2, items: POINT },
+                c: POINT
+            }
+        },
+        publicSignals: { type: 'array', minItems: 1, maxItems: 256, items: DECIMAL },
+        // Optional: the key the proof must have been made for
+        extendedEphemeralPublicKey: EPHEMERAL_KEY,
+        circuit: CIRCUIT
+    }
+};
+
+module.exports = {
+    PROVE_REQUEST,
+    SALT_REQUEST,
+    ADDRESS_REQUEST,
+    VERIFY_REQUEST
+};
@@ -0,0 +1,36 @@
+// Deterministic user salts: HKDF-SHA256 of the server master seed with the
+// (iss, aud, sub) triple as info, reduced to the BN254 scalar field.
+
+const crypto = require('crypto');
+
+// BN254 scalar field modulus (the circuit field)
+const FIELD_MODULUS = BigInt('21888242871839275222246405745257275088548364400416711914789998217496698495617');
+
+const HKDF_SALT = 'zklogin-user-salt-v1';
+const HKDF_OUTPUT_BYTES = 64; // Wide output so the reduction bias is negligible
+const MIN_MASTER_SEED_BYTES = 32;
+
+// Parse a hex master seed, requiring at least 32 bytes
+function parseMasterSeed(hex) {
+    if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+        throw new Error('Salt master seed must be a hex string');
+    }
+    const seed = Buffer.from(hex, 'hex');
+    if (seed.length < MIN_MASTER_SEED_BYTES) {
+        throw new Error(`Salt master seed must be at least ${MIN_MASTER_SEED_BYTES} bytes`);
+    }
+    return seed;
+}
+
+// Salt for a user of one client (aud) at one issuer, as a field element
+function deriveSalt(masterSeed, iss, aud, sub) {
+    // JSON keeps the fields unambiguous (no delimiter collisions)
+    const info = Buffer.from(JSON.stringify([iss, aud, sub]), 'utf8');
+    const okm = Buffer.from(crypto.hkdfSync('sha256', masterSeed, HKDF_SALT, info, HKDF_OUTPUT_BYTES));
+    return BigInt(`0x${okm.toString('hex')}`) % FIELD_MODULUS;
+}
+
+module.exports = {
+    parseMasterSeed,
+    deriveSalt
+};
@@ -0,0 +1,140 @@
+// Minimal JSON Schema validator for request bodies. Supports the keywords the
+// request schemas use: type (name or list), enum, anyOf, properties, required,
+// additionalProperties (false), items, minItems / maxItems, minLength /
+// maxLength, pattern and minimum / maximum. Errors name the offending field:
+// [{ field: 'proofPoints.a[1]', message: 'must match pattern ^[0-9]+$' }]
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+const patterns = new Map(); // pattern source -> RegExp
+
+function compilePattern(source) {
+    if (!patterns.has(source)) {
+        patterns.set(source, new RegExp(source));
+    }
+    return patterns.get(source);
+}
+
+function fieldName(path) {
+    return path || 'body';
+}
+
+function typeList(schema) {
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function matchesType(schema, value) {
+    return schema.type === undefined || typeList(schema).some(type => TYPE_CHECKS[type](value));
+}
+
+// A value matching none of the anyOf branches: report the errors of the one
+// branch whose type fits, or the list of accepted types
+function validateAnyOf(schema, value, path) {
+    const branchErrors = schema.anyOf.map(branch => validate(branch, value, path));
+    if (branchErrors.some(errors => errors.length === 0)) {
+        return [];
+    }
+    const typed = schema.anyOf
+        .map((branch, index) => ({ branch, errors: branchErrors[index] }))
+        .filter(({ branch }) => branch.type !== undefined && matchesType(branch, value));
+    if (typed.length === 1) {
+        return typed[0].errors;
+    }
+    const types = schema.anyOf.flatMap(branch => (branch.type === undefined ? [] : typeList(branch)));
+    return [{ field: fieldName(path), message: `must be ${[...new Set(types)].join(' or ')}` }];
+}
+
+function validateObject(schema, value, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+            errors.push({ field: path ? `${path}.${name}` : name, message: 'is required' });
+        }
+    }
+    for (const [name, item] of Object.entries(value)) {
+        const itemPath = path ? `${path}.${name}` : name;
+        if (properties[name]) {
+            errors.push(...validate(properties[name], item, itemPath));
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field: itemPath, message: 'is not allowed' });
+        }
+    }
+    return errors;
+}
+
+function validateArray(schema, value, path) {
+    const errors = [];
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field: fieldName(path), message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field: fieldName(path), message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+    return errors;
+}
+
+function validateString(schema, value, path) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return [{ field: fieldName(path), message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` }];
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return [{ field: fieldName(path), message: `must be at most ${schema.maxLength} characters` }];
+    }
+    if (schema.pattern !== undefined && !compilePattern(schema.pattern).test(value)) {
+        return [{ field: fieldName(path), message: schema.patternMessage || `must match pattern ${schema.pattern}` }];
+    }
+    return [];
+}
+
+function validateNumber(schema, value, path) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return [{ field: fieldName(path), message: `must be at least ${schema.minimum}` }];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return [{ field: fieldName(path), message: `must be at most ${schema.maximum}` }];
+    }
+    return [];
+}
+
+// Field errors for value against schema (empty when valid)
+function validate(schema, value, path = '') {
+    if (schema.anyOf) {
+        return validateAnyOf(schema, value, path);
+    }
+    if (!matchesType(schema, value)) {
+        return [{ field: fieldName(path), message: `must be ${typeList(schema).join(' or ')}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ field: fieldName(path), message: `must be one of ${schema.enum.join(', ')}` }];
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        return validateObject(schema, value, path);
+    }
+    if (Array.isArray(value)) {
+        return validateArray(schema, value, path);
+    }
+    if (typeof value === 'string') {
+        return validateString(schema, value, path);
+    }
+    if (typeof value === 'number') {
+        return validateNumber(schema, value, path);
+    }
+    return [];
+}
+
+module.exports = {
+    validate
+};
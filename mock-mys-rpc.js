@@ -0,0 +1,49 @@
+// Local stand-in for a MYS JSON-RPC endpoint, answering the system state call
+// the prover uses for the current epoch. The epoch advances every
+// MOCK_EPOCH_DURATION_MS (default one day) from MOCK_EPOCH (default 100).
+//
+//   node mock-mys-rpc.js
+//   MYS_RPC_URL=http://127.0.0.1:9124 node server.js
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_RPC_PORT ?? '9124', 10);
+const START_EPOCH = parseInt(process.env.MOCK_EPOCH ?? '100', 10);
+const EPOCH_DURATION_MS = parseInt(process.env.MOCK_EPOCH_DURATION_MS ?? '86400000', 10);
+const METHOD = process.env.MYS_RPC_EPOCH_METHOD || 'mysx_getLatestMysSystemState';
+const startedAt = Date.now();
+
+function systemState() {
+    const elapsed = Math.floor((Date.now() - startedAt) / EPOCH_DURATION_MS);
+    return {
+        epoch: String(START_EPOCH + elapsed),
+        epochStartTimestampMs: String(startedAt + elapsed * EPOCH_DURATION_MS),
+        epochDurationMs: String(EPOCH_DURATION_MS)
+    };
+}
+
+function reply(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+        data += chunk;
+    });
+    req.on('end', () => {
+        let request;
+        try {
+            request = JSON.parse(data);
+        } catch (error) {
+            return reply(res, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        }
+        if (request.method !== METHOD) {
+            return reply(res, { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method not found: ${request.method}` } });
+        }
+        reply(res, { jsonrpc: '2.0', id: request.id, result: systemState() });
+    });
+}).listen(PORT, '127.0.0.1', () => {
+    console.log(`Mock MYS RPC on http://127.0.0.1:${PORT} (epoch ${systemState().epoch})`);
+});
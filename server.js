@@ -3,211 +3,587 @@ const cors = require('cors');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const snarkjs = require('snarkjs');
-const axios = require('axios');
+const { CLAIM_LIMITS, claimBase64Details, locateAddressClaims, locateZkLoginClaims } = require('./lib/claims');
+const { computeAddressSeed, computeMysAddress } = require('./lib/address');
+const { poseidonHash, hashASCIIStrToField } = require('./lib/hash');
+const { computeNonce } = require('./lib/nonce');
+const { parseExtendedEphemeralPublicKey } = require('./lib/ephemeral');
+const { PROVER_BACKENDS, proverStatus } = require('./lib/prover');
+const { createProverPool } = require('./lib/prover-pool');
+const { createJobStore } = require('./lib/jobs');
+const { proofCacheKey, createProofCache } = require('./lib/proof-cache');
+const { parseMasterSeed, deriveSalt } = require('./lib/salt');
+const { loadProviderConfigs, createProviderRegistry } = require('./lib/providers');
+const { createJwksCache } = require('./lib/jwks-cache');
+const { JWK_TRUST_MODES, createJwkTrustStore } = require('./lib/jwk-store');
+const { logger, runWithLogContext, addLogContext } = require('./lib/logger');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { loadClientConfigs, createClientRegistry } = require('./lib/clients');
+const { createRateLimiter, createDailyQuota } = require('./lib/rate-limit');
+const { toProofPoints, fromProofPoints, isDecimalArray } = require('./lib/proof');
+const { proofDebugInfo } = require('./lib/debug-info');
+const { createError, errorResponse } = require('./lib/errors');
+const { jwtFingerprint, addressBinding, replayExpiry, createReplayStore } = require('./lib/replay-store');
+const { createRpcEpochProvider, checkMaxEpoch } = require('./lib/epoch');
+const { validate } = require('./lib/schema');
+const { DEFAULT_CIRCUIT, loadCircuitConfigs, createCircuitRegistry } = require('./lib/circuits');
+const { PROVE_REQUEST, SALT_REQUEST, ADDRESS_REQUEST, VERIFY_REQUEST } = require('./lib/request-schemas');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-
-// OAuth Provider JWK Endpoints
-const OAUTH_PROVIDERS = {
-    google: {
-        name: 'Google',
-        oidcConfig: 'https://accounts.google.com/.well-known/openid-configuration',
-        jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
-        issuer: 'https://accounts.google.com'
+// Circuit input builders and response formatters, by circuit format:
+// - zklogin: the full zkLogin circuit (RSA signature, claims, address seed)
+// - poseidon: the legacy demo circuit, isValid = (jwtHash == Poseidon(nonce, pubKeyHash)).
+//   It proves nothing about the JWT (bindsJwt: false); not served unless configured.
+const CIRCUIT_FORMATS = {
+    zklogin: {
+        bindsJwt: true,
+        buildInputs: buildZkLoginInputs,
+        formatResponse: formatZkLoginResponse,
+        publicInputs: zkLoginPublicInputs,
+        findKey: findKeyForPublicSignals
     },
-    facebook: {
-        name: 'Facebook',
-        oidcConfig: 'https://www.facebook.com/.well-known/oauth/openid-connect/',
-        jwksUri: 'https://www.facebook.com/.well-known/oauth/openid-connect/certs/',
-        issuer: 'https://www.facebook.com'
-    },
-    apple: {
-        name: 'Apple',
-        oidcConfig: 'https://appleid.apple.com/.well-known/openid_configuration',
-        jwksUri: 'https://appleid.apple.com/auth/keys',
-        issuer: 'https://appleid.apple.com'
+    poseidon: {
+        bindsJwt: false,
+        buildInputs: buildPoseidonInputs,
+        formatResponse: formatPoseidonResponse
+    }
+};
+
+// Circuits served side by side (CIRCUITS_FILE / CIRCUITS, or the built-in set);
+// requests without a circuit field use DEFAULT_CIRCUIT
+const circuitRegistry = createCircuitRegistry(
+    loadCircuitConfigs({ file: process.env.CIRCUITS_FILE, json: process.env.CIRCUITS }),
+    {
+        formats: CIRCUIT_FORMATS,
+        baseDir: __dirname,
+        defaultId: process.env.DEFAULT_CIRCUIT || DEFAULT_CIRCUIT
     }
+);
+
+// Proving backend: rapidsnark (falls back to snarkjs when unavailable) or snarkjs.
+// The wasm and zkey come from the circuit of each proof.
+const PROVER_CONFIG = {
+    backend: process.env.PROVER_BACKEND || 'rapidsnark',
+    rapidsnarkPath: process.env.RAPIDSNARK_PATH || path.join(__dirname, 'rapidsnark', 'rapidsnark'),
+    outputDir: path.join(__dirname, 'outputs')
 };
 
-// JWK Cache with TTL
-const jwkCache = new Map();
-const JWK_CACHE_TTL = 3600000; // 1 hour
+if (!PROVER_BACKENDS.includes(PROVER_CONFIG.backend)) {
+    throw new Error(`Invalid PROVER_BACKEND: ${PROVER_CONFIG.backend}, expected one of ${PROVER_BACKENDS.join(', ')}`);
+}
+
+// Proving worker threads (default: one per CPU) and the number of requests that may wait for one
+const PROVER_WORKERS = parseInt(process.env.PROVER_WORKERS, 10) || os.availableParallelism();
+const PROVER_QUEUE_SIZE = parseInt(process.env.PROVER_QUEUE_SIZE, 10) || PROVER_WORKERS * 4;
+
+const proverPool = createProverPool({
+    size: PROVER_WORKERS,
+    maxQueue: PROVER_QUEUE_SIZE,
+    config: PROVER_CONFIG
+});
+
+// Request ids: a valid incoming X-Request-Id is kept, otherwise one is generated.
+// It is returned in the response header and attached to every log line.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+function trackRequest(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startTime = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    // Remember the error code of JSON error bodies for the request metrics
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && typeof body.code === 'string') {
+            res.locals.errorCode = body.code;
+        }
+        return json(body);
+    };
+
+    runWithLogContext({ requestId }, () => {
+        res.on('finish', () => {
+            logger.info('Request completed', {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Date.now() - startTime
+            });
+            recordRequestMetric(req, res);
+        });
+        next();
+    });
+}
+
+app.use(trackRequest);
+
+// API clients (API_CLIENTS_FILE / API_CLIENTS): API keys with allowed origins,
+// token-bucket rate limits and daily proof quotas. Without clients the API is open.
+const clientRegistry = createClientRegistry(
+    loadClientConfigs({ file: process.env.API_CLIENTS_FILE, json: process.env.API_CLIENTS }),
+    {
+        rateLimit: {
+            burst: parseInt(process.env.RATE_LIMIT_BURST ?? '10', 10),
+            perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE ?? '60', 10)
+        },
+        dailyProofQuota: parseInt(process.env.DAILY_PROOF_QUOTA ?? '1000', 10)
+    }
+);
+const clientRateLimiter = createRateLimiter();
+const clientProofQuota = createDailyQuota();
+
+// Secondary limit per JWT subject (iss, sub), across all clients
+const SUBJECT_RATE_LIMIT = {
+    burst: parseInt(process.env.SUBJECT_RATE_LIMIT_BURST ?? '3', 10),
+    perMinute: parseInt(process.env.SUBJECT_RATE_LIMIT_PER_MINUTE ?? '6', 10)
+};
+const subjectRateLimiter = createRateLimiter();
+
+// With API clients configured, browsers may only call from their allowed origins
+app.use(cors({
+    origin: clientRegistry.enabled
+        ? (origin, callback) => callback(null, !origin || clientRegistry.isKnownOrigin(origin))
+        : '*',
+    exposedHeaders: [
+        'X-Request-Id',
+        'Retry-After',
+        'RateLimit-Limit',
+        'RateLimit-Remaining',
+        'RateLimit-Reset'
+    ]
+}));
+app.use(express.json({ limit: '10mb' }));
+
+// OIDC providers (OIDC_PROVIDERS_FILE / OIDC_PROVIDERS, or the built-in defaults).
+// OIDC_AUDIENCES sets each provider's allowed client IDs as JSON { id: [...] }.
+const providerRegistry = createProviderRegistry(loadProviderConfigs({
+    file: process.env.OIDC_PROVIDERS_FILE,
+    json: process.env.OIDC_PROVIDERS,
+    audiences: process.env.OIDC_AUDIENCES
+}));
+
+// Salt service: enabled when a master seed (hex, 32+ bytes) is configured.
+// SALT_AUDIENCES optionally narrows the provider client IDs it serves.
+// SALT_AUTOFILL lets /prove derive the salt when the request omits it.
+const SALT_CONFIG = {
+    masterSeed: process.env.SALT_MASTER_SEED ? parseMasterSeed(process.env.SALT_MASTER_SEED) : null,
+    audiences: (process.env.SALT_AUDIENCES || '').split(',').map(aud => aud.trim()).filter(Boolean),
+    autofill: process.env.SALT_AUTOFILL === 'true'
+};
+
+// Prover results for identical circuit inputs, kept until the JWT expires
+const proofCache = createProofCache({
+    maxEntries: parseInt(process.env.PROOF_CACHE_SIZE ?? '500', 10)
+});
+
+// JWT -> salt and key claim bindings, kept until the JWT expires (REPLAY_STORE_FILE
+// persists them across restarts; in memory otherwise)
+const replayStore = createReplayStore({ file: process.env.REPLAY_STORE_FILE });
+
+// Current MYS epoch from MYS_RPC_URL: /prove rejects a maxEpoch before it or more
+// than MAX_EPOCH_AHEAD epochs after it. Without an RPC URL maxEpoch is unbounded.
+const MAX_EPOCH_AHEAD = parseInt(process.env.MAX_EPOCH_AHEAD ?? '30', 10);
+const epochProvider = process.env.MYS_RPC_URL
+    ? createRpcEpochProvider({
+        url: process.env.MYS_RPC_URL,
+        method: process.env.MYS_RPC_EPOCH_METHOD || undefined,
+        cacheMs: parseInt(process.env.EPOCH_CACHE_SECONDS ?? '60', 10) * 1000
+    })
+    : null;
+
+if (!(MAX_EPOCH_AHEAD >= 0)) {
+    throw new Error(`Invalid MAX_EPOCH_AHEAD: ${process.env.MAX_EPOCH_AHEAD}, expected a non-negative integer`);
+}
+
+// Asynchronous proof jobs: kept for 10 minutes after finishing
+const proofJobs = createJobStore({
+    ttlMs: 600000,
+    maxJobs: parseInt(process.env.PROOF_JOB_LIMIT, 10) || 1000
+});
+const SSE_HEARTBEAT_MS = 15000;
+
+// Pinned JWKs and the history of seen kids (JWK_TRUST_STORE_FILE). JWK_TRUST_MODE
+// picks live JWKS only, pinned keys only, or pinned keys before live ones.
+const jwkTrustStore = createJwkTrustStore({ file: process.env.JWK_TRUST_STORE_FILE });
+const JWK_TRUST_MODE = process.env.JWK_TRUST_MODE ||
+    (process.env.JWK_TRUST_STORE_FILE ? 'pinned+live' : 'live');
+
+if (!JWK_TRUST_MODES.includes(JWK_TRUST_MODE)) {
+    throw new Error(`Invalid JWK_TRUST_MODE: ${JWK_TRUST_MODE}, expected one of ${JWK_TRUST_MODES.join(', ')}`);
+}
+
+// JWKS cached per provider (TTL from Cache-Control). Stale keys serve for up to
+// JWKS_MAX_STALE_SECONDS while the provider is down; unknown kids refetch at most
+// once per JWKS_KID_MISS_COOLDOWN_SECONDS.
+const jwksCache = createJwksCache({
+    resolveUri: provider => providerRegistry.resolveJwksUri(provider),
+    maxStaleMs: parseInt(process.env.JWKS_MAX_STALE_SECONDS ?? '86400', 10) * 1000,
+    kidMissCooldownMs: parseInt(process.env.JWKS_KID_MISS_COOLDOWN_SECONDS ?? '60', 10) * 1000,
+    onFetch: (provider, keys) => jwkTrustStore.recordSeen(provider, keys)
+});
+
+// NODE_ENV=production keeps internal details out of error responses
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// DEBUG_ERRORS=true adds stack traces to error responses (never in production)
+const DEBUG_ERRORS = process.env.DEBUG_ERRORS === 'true' && !IS_PRODUCTION;
+
+// Admin endpoints (/admin/*). With ADMIN_PORT they are served only on a separate
+// listener (ADMIN_HOST, default loopback) and ADMIN_TOKEN is optional there;
+// otherwise they are mounted on the public port and require ADMIN_TOKEN.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const ADMIN_PORT = process.env.ADMIN_PORT ? parseInt(process.env.ADMIN_PORT, 10) : null;
+const ADMIN_HOST = process.env.ADMIN_HOST || '127.0.0.1';
+
+if (ADMIN_PORT !== null && !(ADMIN_PORT > 0 && ADMIN_PORT < 65536)) {
+    throw new Error(`Invalid ADMIN_PORT: ${process.env.ADMIN_PORT}`);
+}
+if (ADMIN_PORT !== null && String(ADMIN_PORT) === String(PORT)) {
+    throw new Error('ADMIN_PORT must differ from PORT');
+}
+
+// Prometheus metrics served on GET /metrics. Pool, job, cache and JWKS values
+// are read from their stats() at scrape time.
+const metrics = createMetricsRegistry();
+
+const provingDuration = metrics.histogram({
+    name: 'zklogin_proving_duration_seconds',
+    help: 'Groth16 proving time after witness generation',
+    labelNames: ['backend', 'circuit'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300]
+});
+const witnessDuration = metrics.histogram({
+    name: 'zklogin_witness_duration_seconds',
+    help: 'Witness generation time',
+    labelNames: ['circuit'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+});
+const requestsTotal = metrics.counter({
+    name: 'zklogin_requests_total',
+    help: 'HTTP requests by route, outcome and error code',
+    labelNames: ['route', 'outcome', 'error']
+});
+const proofJobsTotal = metrics.counter({
+    name: 'zklogin_proof_jobs_total',
+    help: 'Finished asynchronous proof jobs by outcome and error code',
+    labelNames: ['outcome', 'error']
+});
+
+// One sample per provider from the JWKS cache counters
+function jwksCounterSamples(name) {
+    return Object.entries(jwksCache.stats().providers)
+        .map(([provider, stats]) => ({ labels: { provider }, value: stats[name] }));
+}
+
+metrics.counter({
+    name: 'zklogin_jwks_cache_hits_total',
+    help: 'JWK lookups served from the cached key set',
+    labelNames: ['provider'],
+    collect: () => jwksCounterSamples('hits')
+});
+metrics.counter({
+    name: 'zklogin_jwks_cache_misses_total',
+    help: 'JWK lookups for a kid missing from the cached key set',
+    labelNames: ['provider'],
+    collect: () => jwksCounterSamples('kidMisses')
+});
+metrics.counter({
+    name: 'zklogin_jwks_fetches_total',
+    help: 'JWKS fetches from the provider',
+    labelNames: ['provider'],
+    collect: () => jwksCounterSamples('fetches')
+});
+metrics.counter({
+    name: 'zklogin_jwks_fetch_failures_total',
+    help: 'Failed JWKS fetches from the provider',
+    labelNames: ['provider'],
+    collect: () => jwksCounterSamples('fetchErrors')
+});
+metrics.counter({
+    name: 'zklogin_jwks_stale_served_total',
+    help: 'JWK lookups served from an expired key set because the provider was unreachable',
+    labelNames: ['provider'],
+    collect: () => jwksCounterSamples('staleServed')
+});
+metrics.gauge({
+    name: 'zklogin_prover_queue_depth',
+    help: 'Proof requests waiting for a prover worker',
+    collect: () => [{ labels: {}, value: proverPool.stats().queueDepth }]
+});
+metrics.gauge({
+    name: 'zklogin_prover_workers',
+    help: 'Prover worker threads by state',
+    labelNames: ['state'],
+    collect: () => {
+        const { workers, activeWorkers } = proverPool.stats();
+        return [
+            { labels: { state: 'active' }, value: activeWorkers },
+            { labels: { state: 'idle' }, value: workers - activeWorkers }
+        ];
+    }
+});
+metrics.gauge({
+    name: 'zklogin_proof_jobs',
+    help: 'Stored asynchronous proof jobs by status',
+    labelNames: ['status'],
+    collect: () => Object.entries(proofJobs.stats().byStatus)
+        .map(([status, value]) => ({ labels: { status }, value }))
+});
+metrics.counter({
+    name: 'zklogin_proof_cache_lookups_total',
+    help: 'Proof cache lookups by result',
+    labelNames: ['result'],
+    collect: () => {
+        const { hits, inflightHits, misses } = proofCache.stats();
+        return [
+            { labels: { result: 'hit' }, value: hits },
+            { labels: { result: 'inflight' }, value: inflightHits },
+            { labels: { result: 'miss' }, value: misses }
+        ];
+    }
+});
+metrics.gauge({
+    name: 'zklogin_process_memory_bytes',
+    help: 'Process memory usage',
+    labelNames: ['type'],
+    collect: () => Object.entries(process.memoryUsage())
+        .map(([type, value]) => ({ labels: { type }, value }))
+});
+
+// Outcome of a finished request, labelled by route pattern (not the raw path)
+function recordRequestMetric(req, res) {
+    const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : 'unmatched';
+    let outcome = 'success';
+    if (res.statusCode >= 500) {
+        outcome = 'server_error';
+    } else if (res.statusCode >= 400) {
+        outcome = 'client_error';
+    }
+    const error = res.statusCode >= 400 ? res.locals.errorCode || 'UNCATEGORIZED' : 'none';
+    requestsTotal.inc({ route, outcome, error });
+}
 
 // Robust JWT parsing with security validation
 function parseJWT(token) {
     if (!token || typeof token !== 'string') {
-        throw new Error('Invalid token: must be a non-empty string');
+        throw createError('JWT_MALFORMED', 'Invalid token: must be a non-empty string');
     }
 
     const parts = token.split('.');
     if (parts.length !== 3) {
-        throw new Error('Invalid JWT: must have exactly 3 parts separated by dots');
+        throw createError('JWT_MALFORMED', 'Invalid JWT: must have exactly 3 parts separated by dots');
     }
 
+    let header;
+    let payload;
     try {
-        // Parse header
-        const headerJson = Buffer.from(parts[0], 'base64url').toString('utf8');
-        const header = JSON.parse(headerJson);
-        
-        // Validate header structure
-        if (!header.alg || !header.typ) {
-            throw new Error('Invalid JWT header: missing required fields (alg, typ)');
-        }
-        
-        if (header.typ !== 'JWT') {
-            throw new Error('Invalid token type: expected JWT');
-        }
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw createError('JWT_MALFORMED', `JWT parsing failed: ${error.message}`);
+    }
 
-        // Parse payload
-        const payloadJson = Buffer.from(parts[1], 'base64url').toString('utf8');
-        const payload = JSON.parse(payloadJson);
-        
-        // Validate payload structure
-        if (!payload.iss || !payload.sub || !payload.aud) {
-            throw new Error('Invalid JWT payload: missing required claims (iss, sub, aud)');
-        }
+    // Validate header structure
+    if (!header || !header.alg || !header.typ) {
+        throw createError('JWT_MALFORMED', 'Invalid JWT header: missing required fields (alg, typ)');
+    }
+    if (header.typ !== 'JWT') {
+        throw createError('JWT_MALFORMED', 'Invalid token type: expected JWT');
+    }
 
-        // Validate timing claims
-        const now = Math.floor(Date.now() / 1000);
-        
-        if (payload.exp && payload.exp < now) {
-            throw new Error('Token has expired');
-        }
-        
-        if (payload.nbf && payload.nbf > now) {
-            throw new Error('Token is not yet valid (nbf claim)');
-        }
-        
-        if (payload.iat && payload.iat > now + 300) { // Allow 5 min clock skew
-            throw new Error('Token issued in the future');
-        }
+    // Validate payload structure
+    if (!payload || !payload.iss || !payload.sub || !payload.aud) {
+        throw createError('JWT_MALFORMED', 'Invalid JWT payload: missing required claims (iss, sub, aud)');
+    }
 
-        // Parse signature
-        const signature = parts[2];
-        if (!signature) {
-            throw new Error('Invalid JWT: missing signature');
-        }
+    // Validate timing claims
+    const now = Math.floor(Date.now() / 1000);
 
-        return {
-            header,
-            payload,
-            signature,
-            raw: {
-                header: parts[0],
-                payload: parts[1],
-                signature: parts[2]
-            }
-        };
-    } catch (error) {
-        if (error.message.includes('Invalid JWT') || error.message.includes('Token')) {
-            throw error;
+    if (payload.exp && payload.exp < now) {
+        throw createError('JWT_EXPIRED', 'Token has expired');
+    }
+
+    if (payload.nbf && payload.nbf > now) {
+        throw createError('JWT_NOT_YET_VALID', 'Token is not yet valid (nbf claim)');
+    }
+
+    if (payload.iat && payload.iat > now + 300) { // Allow 5 min clock skew
+        throw createError('JWT_NOT_YET_VALID', 'Token issued in the future');
+    }
+
+    if (!parts[2]) {
+        throw createError('JWT_MALFORMED', 'Invalid JWT: missing signature');
+    }
+
+    return {
+        header,
+        payload,
+        signature: parts[2],
+        raw: {
+            header: parts[0],
+            payload: parts[1],
+            signature: parts[2]
         }
-        throw new Error(`JWT parsing failed: ${error.message}`);
+    };
+}
+
+// Check a JWK is a 2048+ bit RSA signing key
+function validateJWK(jwk) {
+    if (!jwk || !jwk.kty) {
+        throw createError('JWK_INVALID', 'Invalid JWK: missing required fields');
+    }
+
+    if (jwk.kty !== 'RSA') {
+        throw createError('JWK_INVALID', `Unsupported key type: ${jwk.kty}, expected RSA`);
+    }
+
+    // use and alg are optional (Microsoft JWKS omit alg), but must fit when present
+    if (jwk.use !== undefined && jwk.use !== 'sig') {
+        throw createError('JWK_INVALID', `Invalid key use: ${jwk.use}, expected sig`);
+    }
+
+    if (jwk.alg !== undefined && jwk.alg !== 'RS256') {
+        throw createError('JWK_INVALID', `Unsupported key algorithm: ${jwk.alg}, expected RS256`);
+    }
+
+    if (!jwk.n || !jwk.e) {
+        throw createError('JWK_INVALID', 'Invalid RSA JWK: missing modulus (n) or exponent (e)');
+    }
+
+    // Validate RSA key size (must be at least 2048 bits)
+    const modulusBuffer = Buffer.from(jwk.n, 'base64url');
+    const keySize = modulusBuffer.length * 8;
+    if (keySize < 2048) {
+        throw createError('JWK_INVALID', `Insufficient key size: ${keySize} bits, minimum 2048 required`);
     }
 }
 
-// Fetch JWK with caching and validation
+// Fetch JWK from the trust store and / or the cached live JWKS (per JWK_TRUST_MODE)
 async function fetchJWK(provider, keyId) {
-    const cacheKey = `${provider}_${keyId}`;
-    const cached = jwkCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < JWK_CACHE_TTL) {
-        return cached.jwk;
+    if (!providerRegistry.get(provider)) {
+        throw createError('PROVIDER_UNKNOWN', `Unsupported OAuth provider: ${provider}`);
     }
 
-    const providerConfig = OAUTH_PROVIDERS[provider];
-    if (!providerConfig) {
-        throw new Error(`Unsupported OAuth provider: ${provider}`);
+    let jwk = JWK_TRUST_MODE === 'live' ? null : jwkTrustStore.getPinned(provider, keyId);
+    if (!jwk) {
+        if (JWK_TRUST_MODE === 'pinned') {
+            throw createError('JWK_NOT_PINNED', `JWK ${keyId} for ${provider} is not in the pinned trust store`);
+        }
+        jwk = await jwksCache.getKey(provider, keyId);
+    }
+
+    validateJWK(jwk);
+    jwkTrustStore.recordSeen(provider, [jwk]);
+    return jwk;
+}
+
+// Verify the JWT RS256 signature off-chain against the provider JWK
+function verifyJWTSignature(parsedJWT, jwk) {
+    const { alg } = parsedJWT.header;
+
+    // Only RS256 is provable by the circuit; reject alg "none" and HMAC variants explicitly
+    if (alg !== 'RS256') {
+        throw createError('JWT_ALG_UNSUPPORTED', `Unsupported JWT algorithm: ${alg}, expected RS256`);
     }
 
+    if (jwk.alg && jwk.alg !== alg) {
+        throw createError('JWT_ALG_MISMATCH', `JWT algorithm ${alg} does not match JWK algorithm ${jwk.alg}`);
+    }
+
+    let publicKey;
     try {
-        console.log(`Fetching JWK for provider: ${provider}, keyId: ${keyId}`);
-        
-        // Fetch JWKS
-        const response = await axios.get(providerConfig.jwksUri, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'zklogin-prover/1.0'
-            }
+        publicKey = crypto.createPublicKey({
+            key: { kty: jwk.kty, n: jwk.n, e: jwk.e },
+            format: 'jwk'
         });
+    } catch (error) {
+        throw createError('JWK_INVALID', `Unable to import JWK: ${error.message}`);
+    }
 
-        if (!response.data || !response.data.keys) {
-            throw new Error('Invalid JWKS response: missing keys array');
-        }
+    const signedData = Buffer.from(`${parsedJWT.raw.header}.${parsedJWT.raw.payload}`, 'utf8');
+    const signature = Buffer.from(parsedJWT.raw.signature, 'base64url');
 
-        // Find the specific key
-        const jwk = response.data.keys.find(key => key.kid === keyId);
-        if (!jwk) {
-            throw new Error(`JWK not found for keyId: ${keyId}`);
-        }
+    if (!crypto.verify('RSA-SHA256', signedData, publicKey, signature)) {
+        throw createError('JWT_SIGNATURE_INVALID', 'JWT signature verification failed');
+    }
 
-        // Validate JWK structure
-        if (!jwk.kty || !jwk.use || !jwk.alg) {
-            throw new Error('Invalid JWK: missing required fields');
-        }
+    return true;
+}
 
-        if (jwk.kty !== 'RSA') {
-            throw new Error(`Unsupported key type: ${jwk.kty}, expected RSA`);
-        }
+// RSA limb layout shared with the circuit: 2048-bit values as 32 little-endian 64-bit limbs
+const RSA_LIMB_BITS = 64;
+const RSA_NUM_LIMBS = 32;
+const RSA_MODULUS_BYTES = (RSA_LIMB_BITS * RSA_NUM_LIMBS) / 8;
 
-        if (jwk.use !== 'sig') {
-            throw new Error(`Invalid key use: ${jwk.use}, expected sig`);
-        }
+// Maximum length of base64url header.payload hashed inside the circuit (multiple of 64)
+const MAX_JWT_LENGTH = 1600;
 
-        if (!jwk.n || !jwk.e) {
-            throw new Error('Invalid RSA JWK: missing modulus (n) or exponent (e)');
-        }
+// Deterministic salt for the user of a verified JWT (aud, sub and the canonical
+// issuer, so issuer aliases of one provider give the same salt)
+function deriveUserSalt(payload) {
+    if (!SALT_CONFIG.masterSeed) {
+        throw createError('SALT_SERVICE_DISABLED', 'Salt service is not configured (SALT_MASTER_SEED)');
+    }
+    if (typeof payload.aud !== 'string' ||
+        (SALT_CONFIG.audiences.length > 0 && !SALT_CONFIG.audiences.includes(payload.aud))) {
+        throw createError('SALT_AUDIENCE_NOT_ALLOWED', `Salt service does not serve audience: ${payload.aud}`);
+    }
+    if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+        throw createError('SALT_SUBJECT_INVALID', 'JWT sub claim must be a non-empty string');
+    }
 
-        // Validate RSA key size (must be at least 2048 bits)
-        const modulusBuffer = Buffer.from(jwk.n, 'base64url');
-        const keySize = modulusBuffer.length * 8;
-        if (keySize < 2048) {
-            throw new Error(`Insufficient key size: ${keySize} bits, minimum 2048 required`);
-        }
+    const issuer = providerRegistry.canonicalIssuer(payload.iss);
+    return deriveSalt(SALT_CONFIG.masterSeed, issuer, payload.aud, payload.sub).toString();
+}
 
-        // Cache the validated JWK
-        jwkCache.set(cacheKey, {
-            jwk,
-            timestamp: Date.now()
-        });
+// Apply SHA-256 padding to the signed JWT bytes and zero-fill to the circuit's fixed length
+function sha256PadMessage(message, maxLength = MAX_JWT_LENGTH) {
+    const bitLength = BigInt(message.length) * 8n;
+    const numBlocks = Math.ceil((message.length + 9) / 64);
+    const paddedLength = numBlocks * 64;
 
-        console.log(`Successfully fetched and cached JWK for ${provider}:${keyId}`);
-        return jwk;
+    if (paddedLength > maxLength) {
+        throw createError('JWT_TOO_LONG', `JWT too long: ${message.length} bytes exceeds circuit maximum of ${maxLength - 9} bytes`);
+    }
 
-    } catch (error) {
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            throw new Error(`Unable to connect to ${provider} JWK endpoint`);
-        }
-        if (error.response) {
-            throw new Error(`JWK fetch failed: ${error.response.status} ${error.response.statusText}`);
-        }
-        throw error;
+    const padded = Buffer.alloc(maxLength);
+    message.copy(padded);
+    padded[message.length] = 0x80;
+    padded.writeBigUInt64BE(bitLength, paddedLength - 8);
+
+    return {
+        content: Array.from(padded, b => b.toString()),
+        length: message.length.toString(),
+        numBlocks: numBlocks.toString()
+    };
+}
+
+// Split a big-endian byte buffer into little-endian limbs (decimal strings) for the circuit
+function bufferToCircuitLimbs(buffer, limbBits = RSA_LIMB_BITS, numLimbs = RSA_NUM_LIMBS) {
+    const value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+    if (value >> BigInt(limbBits * numLimbs) !== 0n) {
+        throw new Error(`Value exceeds ${limbBits * numLimbs} bits`);
+    }
+
+    const mask = (1n << BigInt(limbBits)) - 1n;
+    const limbs = [];
+    for (let i = 0; i < numLimbs; i++) {
+        limbs.push(((value >> BigInt(i * limbBits)) & mask).toString());
     }
+    return limbs;
 }
 
 // Convert JWK to circuit format
 function jwkToCircuitFormat(jwk) {
-    // Convert base64url modulus to big integer
     const nBuffer = Buffer.from(jwk.n, 'base64url');
-    
-    // Convert to array of 32-bit chunks for circuit
-    const modulus = [];
-    for (let i = 0; i < nBuffer.length; i += 4) {
-        let chunk = 0;
-        for (let j = 0; j < 4 && i + j < nBuffer.length; j++) {
-            chunk |= (nBuffer[i + j] << (j * 8));
-        }
-        modulus.push(chunk.toString());
-    }
-    
-    // Pad to 64 chunks for 2048-bit RSA
-    while (modulus.length < 64) {
-        modulus.push('0');
+
+    // The circuit verifies exactly 2048-bit moduli with the top bit set
+    if (nBuffer.length !== RSA_MODULUS_BYTES || (nBuffer[0] & 0x80) === 0) {
+        throw createError('JWK_INVALID', `Unsupported RSA modulus size: circuit requires ${RSA_MODULUS_BYTES * 8}-bit keys`);
     }
 
     // Convert exponent
@@ -218,468 +594,1078 @@ function jwkToCircuitFormat(jwk) {
     }
 
     return {
-        modulus: modulus.slice(0, 64), // Ensure exactly 64 chunks
+        modulus: bufferToCircuitLimbs(nBuffer),
         exponent: exponent.toString()
     };
 }
 
-// Determine OAuth provider from issuer
-function getProviderFromIssuer(issuer) {
-    for (const [provider, config] of Object.entries(OAUTH_PROVIDERS)) {
-        if (issuer === config.issuer || issuer.startsWith(config.issuer)) {
-            return provider;
+// Send an error with the status from the error catalogue (lib/errors.js);
+// fields are merged into the body (e.g. isValid: false)
+function sendError(res, error, fields = {}) {
+    const { status, retryAfter, body } = errorResponse(error, { debug: DEBUG_ERRORS });
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+    res.status(status).json({ ...fields, ...body });
+}
+
+// Reject request bodies that do not match schema with REQUEST_INVALID and the
+// failing fields
+function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = validate(schema, req.body ?? {});
+        if (errors.length > 0) {
+            const summary = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+            return sendError(res, createError('REQUEST_INVALID', `Invalid request: ${summary}`, { errors }));
+        }
+        next();
+    };
+}
+
+// API key, origin and rate limit checks; the daily proof quota is charged
+// later, by enforceProofQuota. A no-op when no API clients are configured.
+function requireClient() {
+    return (req, res, next) => {
+        if (!clientRegistry.enabled) {
+            return next();
+        }
+
+        const client = clientRegistry.authenticate(req.get('x-api-key'));
+        if (!client) {
+            return sendError(res, createError('API_KEY_INVALID', 'Missing or invalid API key (X-API-Key header)'));
+        }
+        const origin = req.get('origin');
+        if (origin && !clientRegistry.isOriginAllowed(client, origin)) {
+            return sendError(res, createError('ORIGIN_NOT_ALLOWED', `Origin not allowed for this API key: ${origin}`));
         }
+        addLogContext({ clientId: client.id });
+
+        const limit = clientRateLimiter.take(client.id, client.rateLimit);
+        res.set({
+            'RateLimit-Limit': String(limit.limit),
+            'RateLimit-Remaining': String(limit.remaining),
+            'RateLimit-Reset': String(limit.resetSeconds)
+        });
+        if (!limit.allowed) {
+            return sendError(res, createError('RATE_LIMITED', 'Rate limit exceeded, try again later', {
+                retryAfter: limit.retryAfterSeconds
+            }));
+        }
+
+        req.client = client;
+        next();
+    };
+}
+
+// Limit proofs per account so one JWT subject cannot loop proof requests.
+// Only called after the JWT signature is verified, so forged tokens cannot
+// use up someone else's allowance.
+function enforceSubjectLimit(payload) {
+    const key = crypto.createHash('sha256').update(JSON.stringify([payload.iss, payload.sub])).digest('hex');
+    const limit = subjectRateLimiter.take(key, SUBJECT_RATE_LIMIT);
+    if (!limit.allowed) {
+        const error = createError('SUBJECT_RATE_LIMITED', 'Too many proof requests for this account, try again later');
+        error.retryAfter = limit.retryAfterSeconds;
+        throw error;
+    }
+}
+
+// API client id of an authenticated request, or null when clients are not configured
+function clientId(req) {
+    return req.client ? req.client.id : null;
+}
+
+// Charge one proof against the client's daily quota. Called only when a proof
+// is actually computed, so invalid requests and cache hits are free.
+function enforceProofQuota(client) {
+    if (!client) {
+        return;
+    }
+    const quota = clientProofQuota.consume(client.id, client.dailyProofQuota);
+    if (!quota.allowed) {
+        const error = createError('DAILY_QUOTA_EXCEEDED', 'Daily proof quota exceeded');
+        error.retryAfter = quota.resetSeconds;
+        throw error;
+    }
+}
+
+// Determine OAuth provider from issuer (exact or templated match only)
+function getProviderFromIssuer(issuer) {
+    const config = providerRegistry.findByIssuer(issuer);
+    if (!config) {
+        throw createError('ISSUER_UNSUPPORTED', `Unsupported issuer: ${issuer}`);
     }
-    throw new Error(`Unsupported issuer: ${issuer}`);
+    return config.id;
+}
+
+// Check the token was issued to one of our client IDs for the provider
+function checkTokenAudience(provider, payload) {
+    return providerRegistry.checkAudience(provider, payload);
 }
 
 // Validate decimal string inputs
 function validateDecimalString(value, fieldName, maxBits = 256) {
+    let message = null;
     if (typeof value !== 'string') {
-        throw new Error(`${fieldName} must be a string`);
+        message = 'must be a string';
+    } else if (!/^\d+$/.test(value)) {
+        message = 'must contain only digits';
+    } else if (BigInt(value) > (1n << BigInt(maxBits)) - 1n) {
+        message = `exceeds maximum ${maxBits}-bit value`;
     }
-    
-    if (!/^\d+$/.test(value)) {
-        throw new Error(`${fieldName} must contain only digits`);
-    }
-    
-    // Check if the number fits in maxBits
-    const bigIntValue = BigInt(value);
-    const maxValue = (1n << BigInt(maxBits)) - 1n;
-    
-    if (bigIntValue > maxValue) {
-        throw new Error(`${fieldName} exceeds maximum ${maxBits}-bit value`);
+
+    if (message) {
+        throw createError('REQUEST_INVALID', `${fieldName} ${message}`, { errors: [{ field: fieldName, message }] });
     }
-    
     return value;
 }
 
-// Convert hex string to field element array
-function hexToFieldArray(hexString, arraySize = 32) {
-    if (hexString.startsWith('0x')) {
-        hexString = hexString.slice(2);
-    }
-    
-    const bytes = [];
-    for (let i = 0; i < hexString.length; i += 2) {
-        bytes.push(parseInt(hexString.substr(i, 2), 16));
+// Convert a string to a zero-padded array of byte values for the circuit
+function stringToPaddedByteArray(str, arraySize) {
+    const bytes = Buffer.from(str, 'utf8');
+    if (bytes.length > arraySize) {
+        throw new Error(`String exceeds ${arraySize} bytes`);
     }
-    
-    // Pad with zeros if needed
-    while (bytes.length < arraySize) {
-        bytes.unshift(0);
+
+    const padded = Buffer.alloc(arraySize);
+    bytes.copy(padded);
+    return Array.from(padded, b => b.toString());
+}
+
+// Decode the extended ephemeral public key into the (hi, lo) nonce inputs
+function extractEphemeralKeyCoordinates(extendedEphemeralPublicKey) {
+    try {
+        const key = parseExtendedEphemeralPublicKey(extendedEphemeralPublicKey);
+
+        logger.debug('Parsed extended ephemeral public key', { scheme: key.scheme });
+
+        return {
+            scheme: key.scheme,
+            x: key.hi.toString(),
+            y: key.lo.toString(),
+            extendedPubKeyBigInt: key.extendedPubKeyBigInt.toString()
+        };
+
+    } catch (error) {
+        throw createError('EPHEMERAL_KEY_INVALID', `Failed to extract ephemeral key coordinates: ${error.message}`);
     }
-    
-    return bytes.slice(-arraySize).map(b => b.toString());
 }
 
-// Ed25519 curve parameters
-const ED25519_PRIME = BigInt('57896044618658097711785492504343953926634992332820282019728792003956564819949'); // 2^255 - 19
-const ED25519_D = BigInt('37095705934669439343138083508754565189542113879843219016388785533085940283555'); // -121665/121666 mod p
+// Generate a zkLogin proof for a /prove request body on behalf of client (the
+// API client, or null when clients are not configured). onProgress(stage, message)
+// is called at each numbered step; stages are PROOF_JOB_STAGES in lib/jobs.js.
+async function generateZkLoginProof(body, { client = null, onProgress = () => {} } = {}) {
+    const {
+        jwt,
+        extendedEphemeralPublicKey,
+        maxEpoch,
+        jwtRandomness,
+        keyClaimName = 'sub',
+        circuit: requestedCircuit
+    } = body;
+    let { salt } = body;
+
+    // Log each numbered step and report it to the caller (proof jobs stream these)
+    const step = (stage, message) => {
+        logger.info(message, { stage });
+        onProgress(stage, message);
+    };
+
+    // Requested circuit version, or the default
+    const circuit = circuitRegistry.resolve(requestedCircuit);
+    const format = circuitRegistry.formatOf(circuit);
+
+    logger.info('Proof generation started', { bodyKeys: Object.keys(body), circuit: circuit.id });
+
+    if (!salt && !SALT_CONFIG.autofill) {
+        throw createError('REQUEST_INVALID', 'salt is required (server-derived salts are disabled)', {
+            errors: [{ field: 'salt', message: 'is required' }]
+        });
+    }
+
+    // 1. Parse and validate JWT
+    step('parsing', '1. Parsing JWT...');
+    const parsedJWT = parseJWT(jwt);
+    const { header, payload } = parsedJWT;
+
+    // 2. Determine OAuth provider and fetch JWK
+    step('fetching_jwk', '2. Determining OAuth provider...');
+    const provider = getProviderFromIssuer(payload.iss);
+    checkTokenAudience(provider, payload);
+    logger.info('Provider resolved', { provider, kid: header.kid });
+
+    if (!header.kid) {
+        throw createError('JWT_MALFORMED', 'JWT header missing required kid (key ID) field');
+    }
+
+    step('fetching_jwk', '3. Fetching JWK...');
+    const jwk = await fetchJWK(provider, header.kid);
+
+    step('fetching_jwk', '3a. Verifying JWT signature...');
+    verifyJWTSignature(parsedJWT, jwk);
+
+    const circuitJWK = jwkToCircuitFormat(jwk);
+
+    // 3. Validate input parameters
+    step('witness', '4. Validating inputs...');
+
+    // Base64 extended ephemeral public key from the frontend. The flag byte
+    // selects Ed25519, Secp256k1 or Secp256r1; the key must be on its curve
+    const ephemeralPubKey = extractEphemeralKeyCoordinates(extendedEphemeralPublicKey);
+
+    if (!salt) {
+        // The JWT signature was verified above, so the server salt can be used
+        salt = deriveUserSalt(payload);
+        logger.info('Using server-derived salt');
+    }
+
+    // Validate decimal string inputs
+    const validatedSalt = validateDecimalString(salt, 'salt');
+    const validatedJwtRandomness = validateDecimalString(jwtRandomness, 'jwtRandomness');
+    const validatedMaxEpoch = validateDecimalString(maxEpoch.toString(), 'maxEpoch');
+
+    // The proof is usable from the current epoch through maxEpoch
+    const validityWindow = epochProvider
+        ? checkMaxEpoch(validatedMaxEpoch, await epochProvider.getCurrentEpoch(), MAX_EPOCH_AHEAD)
+        : null;
+
+    // 4. Check the nonce and bind the JWT
+    step('witness', '5. Checking nonce...');
+
+    // Locate iss, aud, the key claim and nonce inside the signed payload bytes
+    const claims = locateZkLoginClaims(parsedJWT.raw.payload, keyClaimName);
+
+    if (claims.nonce.value.length !== CLAIM_LIMITS.nonce) {
+        throw createError('NONCE_MISMATCH', `JWT nonce must be ${CLAIM_LIMITS.nonce} base64url characters`);
+    }
+
+    // Recompute the nonce from the ephemeral key, maxEpoch and randomness before proving
+    const expectedNonce = computeNonce(
+        ephemeralPubKey.x,
+        ephemeralPubKey.y,
+        validatedMaxEpoch,
+        validatedJwtRandomness
+    );
+    if (claims.nonce.value !== expectedNonce) {
+        throw createError('NONCE_MISMATCH', 'JWT nonce does not match the ephemeral public key, maxEpoch and jwtRandomness');
+    }
+
+    // The nonce fixes the ephemeral key and maxEpoch, but not the address: bind
+    // the JWT to this salt and key claim, others are refused until it expires
+    const replay = await replayStore.bind(
+        jwtFingerprint(payload),
+        addressBinding(validatedSalt, keyClaimName),
+        replayExpiry(payload)
+    );
+    if (!replay.accepted) {
+        throw createError('JWT_REPLAYED', 'JWT was already used with a different salt or key claim');
+    }
+
+    // 5. Prepare circuit inputs
+    step('witness', '6. Preparing circuit inputs...');
+    const context = {
+        parsedJWT,
+        claims,
+        circuitJWK,
+        ephemeralPubKey,
+        keyClaimName,
+        salt: validatedSalt,
+        jwtRandomness: validatedJwtRandomness,
+        maxEpoch: validatedMaxEpoch
+    };
+    const circuitInputs = format.buildInputs(context);
+
+    // 6. Generate proof (witness, then proving, in a worker)
+    if (!circuitRegistry.isReady(circuit)) {
+        throw createError('CIRCUIT_NOT_READY', `Circuit ${circuit.id} build files not found. Please run: npm run setup`);
+    }
 
-// Modular arithmetic helper functions
-function modPow(base, exp, mod) {
-    let result = 1n;
-    base = base % mod;
-    while (exp > 0n) {
-        if (exp % 2n === 1n) {
-            result = (result * base) % mod;
+    // Identical inputs (same circuit, JWT, key, maxEpoch, randomness and salt)
+    // reuse the cached or in-flight proof; only computed proofs count against
+    // the subject's limit and the client's daily quota, so reloads served from
+    // the cache are free
+    const startTime = Date.now();
+    const { value: proverResult, cache } = await proofCache.getOrCompute(
+        proofCacheKey({ circuit: circuit.id, inputs: circuitInputs }),
+        payload.exp ? payload.exp * 1000 : null,
+        () => {
+            enforceSubjectLimit(payload);
+            enforceProofQuota(client);
+            return proverPool.prove(circuitInputs, { wasmPath: circuit.wasmPath, zkeyPath: circuit.zkeyPath }, {
+                onStage: stage => step(stage, '7. Generating proof...')
+            }).catch(error => {
+                if (error.code === 'PROVER_QUEUE_FULL') {
+                    throw error;
+                }
+                // Prover messages can name files and binaries; keep them in the log only
+                logger.error('Prover failed', { err: error });
+                throw createError('PROVING_FAILED', 'Proof generation failed');
+            }).then(result => {
+                // A failed in-circuit check still gives a valid Groth16 proof, with the
+                // first public signal (validProof / isValid) 0; never cache or return it
+                if (result.publicSignals[0] !== '1') {
+                    logger.warn('Circuit checks failed', { circuit: circuit.id, validProof: result.publicSignals[0] });
+                    throw createError('CIRCUIT_CHECK_FAILED', 'Proof inputs failed the circuit checks (validProof = 0)');
+                }
+                return result;
+            });
         }
-        exp = exp >> 1n;
-        base = (base * base) % mod;
+    );
+    const { proof, publicSignals, backend, provingTimeMs: provingTime } = proverResult;
+    
+    if (cache === 'miss') {
+        witnessDuration.observe({ circuit: circuit.id }, proverResult.witnessTimeMs / 1000);
+        provingDuration.observe(
+            { backend, circuit: circuit.id },
+            (provingTime - proverResult.witnessTimeMs) / 1000
+        );
+        logger.info('Proof generated', { backend, provingTimeMs: provingTime, totalTimeMs: Date.now() - startTime });
+    } else {
+        step('proving', `7. Generating proof... (reused ${cache === 'hit' ? 'cached' : 'in-flight'} proof)`);
     }
-    return result;
+
+    // 7. Format response for the circuit, plus the proving details
+    const response = {
+        ...format.formatResponse(context, { proof, publicSignals, inputs: circuitInputs }),
+        circuit: circuit.id,
+        provingTimeMs: provingTime,
+        proverBackend: backend,
+        cache,
+        provider,
+        keyId: header.kid,
+        currentEpoch: validityWindow ? validityWindow.fromEpoch : null,
+        validityWindow,
+        debugInfo: proofDebugInfo(body, circuitInputs)
+    };
+
+    logger.info('Proof generation complete', { provider, circuit: circuit.id, cache });
+    return response;
 }
 
-function modInverse(a, m) {
-    // Extended Euclidean Algorithm for modular inverse
-    function extendedGCD(a, b) {
-        if (a === 0n) return [b, 0n, 1n];
-        const [gcd, x1, y1] = extendedGCD(b % a, a);
-        const x = y1 - (b / a) * x1;
-        const y = x1;
-        return [gcd, x, y];
-    }
+// zkLogin circuit inputs: the padded signed JWT, its RSA signature and key, the
+// claim positions and the public address seed / issuer hash / maxEpoch
+function buildZkLoginInputs({ parsedJWT, claims, circuitJWK, ephemeralPubKey, keyClaimName, salt, jwtRandomness, maxEpoch }) {
+    // Signed JWT bytes (header + "." + payload), hashed inside the circuit
+    const jwtMessage = Buffer.from(`${parsedJWT.raw.header}.${parsedJWT.raw.payload}`, 'utf8');
+    const paddedJWT = sha256PadMessage(jwtMessage);
+
+    // Issuer hash (public input, recomputed in-circuit from the iss claim)
+    const issuerHash = hashASCIIStrToField(claims.iss.value, CLAIM_LIMITS.iss).toString();
     
-    const [gcd, x] = extendedGCD(a % m, m);
-    return gcd === 1n ? ((x % m) + m) % m : null;
+    // Address seed (public input, recomputed in-circuit from the claims and salt)
+    const addressSeed = computeAddressSeed(
+        salt,
+        keyClaimName,
+        claims.keyClaim.value,
+        claims.aud.value
+    ).toString();
+
+    // JWT signature
+    const signatureBuffer = Buffer.from(parsedJWT.signature, 'base64url');
+    const signatureLimbs = bufferToCircuitLimbs(signatureBuffer);
+
+    return {
+        // Public inputs
+        addrSeed: addressSeed,
+        issuerHash,
+        maxEpoch,
+        jwkModulus: circuitJWK.modulus,
+        jwkExponent: circuitJWK.exponent,
+        
+        // Private inputs
+        jwtContent: paddedJWT.content,
+        jwtLength: paddedJWT.length,
+        jwtNumBlocks: paddedJWT.numBlocks,
+        jwtSignature: signatureLimbs,
+        payloadStart: (parsedJWT.raw.header.length + 1).toString(),
+        payloadLength: parsedJWT.raw.payload.length.toString(),
+        issClaimIndex: claims.iss.index.toString(),
+        issClaimLength: claims.iss.length.toString(),
+        audClaimIndex: claims.aud.index.toString(),
+        audClaimLength: claims.aud.length.toString(),
+        keyClaimIndex: claims.keyClaim.index.toString(),
+        keyClaimLength: claims.keyClaim.length.toString(),
+        nonceClaimIndex: claims.nonce.index.toString(),
+        nonceClaimLength: claims.nonce.length.toString(),
+        keyClaimName: stringToPaddedByteArray(keyClaimName, CLAIM_LIMITS.keyClaimName),
+        keyClaimNameLength: Buffer.byteLength(keyClaimName, 'utf8').toString(),
+        ephemeralPubKey: [ephemeralPubKey.x, ephemeralPubKey.y],
+        jwtRandomness,
+        salt
+    };
 }
 
-// Proper Ed25519 coordinate extraction
-function extractEphemeralKeyCoordinates(extendedEphemeralPublicKey) {
+// zkLogin response: proof points, the iss claim details and the derived address
+function formatZkLoginResponse({ parsedJWT, claims }, { proof, publicSignals, inputs }) {
+    return {
+        isValid: publicSignals[0] === '1',
+        proofPoints: toProofPoints(proof),
+        issBase64Details: claimBase64Details(parsedJWT.raw.payload, claims.iss),
+        headerBase64: parsedJWT.raw.header,
+        addressSeed: inputs.addrSeed,
+        address: computeMysAddress(inputs.addrSeed, claims.iss.value),
+        publicSignals
+    };
+}
+
+// Legacy Poseidon circuit inputs: the verified JWT nonce as a field element,
+// the hash of the ephemeral key and jwtHash = Poseidon(nonce, pubKeyHash)
+function buildPoseidonInputs({ claims, ephemeralPubKey }) {
+    const nonce = BigInt(`0x${Buffer.from(claims.nonce.value, 'base64url').toString('hex')}`).toString();
+    const pubKeyHash = poseidonHash([ephemeralPubKey.x, ephemeralPubKey.y]).toString();
+    return {
+        jwtHash: poseidonHash([nonce, pubKeyHash]).toString(),
+        nonce,
+        pubKeyHash
+    };
+}
+
+// Legacy response: the raw snarkjs proof and public signals ([isValid])
+function formatPoseidonResponse(context, { proof, publicSignals }) {
+    return {
+        isValid: publicSignals[0] === '1',
+        bindsJwt: false,
+        proof,
+        public: publicSignals
+    };
+}
+
+app.post('/prove', requireClient(), validateBody(PROVE_REQUEST), async (req, res) => {
     try {
-        console.log('Extracting Ed25519 coordinates from extended ephemeral public key...');
-        
-        // Decode base64 to bytes
-        const keyBytes = Buffer.from(extendedEphemeralPublicKey, 'base64');
-        console.log(`Key bytes length: ${keyBytes.length}`);
-        console.log('Key bytes (hex):', keyBytes.toString('hex'));
-        
-        let publicKeyBytes;
-        
-        if (keyBytes.length === 33) {
-            // Standard format: 1 byte scheme flag + 32 bytes public key
-            const schemeFlag = keyBytes[0];
-            if (schemeFlag !== 0x00) {
-                console.log(`Warning: Unexpected signature scheme flag: 0x${schemeFlag.toString(16)}, expected 0x00 for Ed25519`);
-            }
-            publicKeyBytes = keyBytes.slice(1);
-        } else if (keyBytes.length === 32) {
-            // Raw Ed25519 public key - this is what we're actually receiving from the frontend
-            // This should have a 0x00 flag prefix for Ed25519, but frontend is sending raw key
-            console.log('Detected raw 32-byte Ed25519 public key format (missing flag prefix)');
-            publicKeyBytes = keyBytes;
+        res.json(await generateZkLoginProof(req.body, { client: req.client }));
+    } catch (error) {
+        logger.error('Proof generation failed', { err: error });
+        sendError(res, error, { isValid: false });
+    }
+});
+
+
+// Start a proof job and return its id immediately
+app.post('/prove/jobs', requireClient(), validateBody(PROVE_REQUEST), (req, res) => {
+    const job = proofJobs.create(clientId(req));
+    if (!job) {
+        return sendError(res, createError('PROOF_JOBS_FULL', 'Too many proof jobs in progress, try again later', {
+            retryAfter: 5
+        }));
+    }
+
+    // Answer before starting: the first pipeline steps run synchronously and
+    // would otherwise already have moved the job past 'queued'
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/prove/jobs/${job.id}`,
+        eventsUrl: `/prove/jobs/${job.id}/events`
+    });
+
+    runWithLogContext({ jobId: job.id }, () => {
+        generateZkLoginProof(req.body, {
+            client: req.client,
+            onProgress: (stage, message) => proofJobs.update(job.id, stage, message)
+        })
+            .then(response => {
+                proofJobsTotal.inc({ outcome: 'success', error: 'none' });
+                proofJobs.complete(job.id, response);
+            })
+            .catch(error => {
+                proofJobsTotal.inc({ outcome: 'failure', error: error.code || 'UNCATEGORIZED' });
+                logger.error('Proof job failed', { err: error });
+                proofJobs.fail(job.id, { isValid: false, ...errorResponse(error, { debug: DEBUG_ERRORS }).body });
+            });
+    });
+});
+
+// Proof job status; result holds the /prove response once done. Clients only
+// see their own jobs; others get PROOF_JOB_NOT_FOUND.
+app.get('/prove/jobs/:id', requireClient(), (req, res) => {
+    const job = proofJobs.get(req.params.id, clientId(req));
+    if (!job) {
+        return sendError(res, createError('PROOF_JOB_NOT_FOUND', 'Proof job not found'));
+    }
+    res.json(proofJobs.toJSON(job));
+});
+
+// Server-Sent Events stream of proof job stages: 'stage' events for progress,
+// then a final 'done' (with the result) or 'failed' (with the error) event
+app.get('/prove/jobs/:id/events', requireClient(), (req, res) => {
+    const job = proofJobs.get(req.params.id, clientId(req));
+    if (!job) {
+        return sendError(res, createError('PROOF_JOB_NOT_FOUND', 'Proof job not found'));
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = rawEvent => {
+        const event = proofJobs.serializeEvent(rawEvent);
+        if (event.status === 'done') {
+            res.write(`event: done\ndata: ${JSON.stringify({ ...event, result: job.result })}\n\n`);
+        } else if (event.status === 'failed') {
+            res.write(`event: failed\ndata: ${JSON.stringify({ ...event, error: job.error })}\n\n`);
         } else {
-            throw new Error(`Invalid extended ephemeral public key length: ${keyBytes.length}, expected 32 or 33 bytes`);
-        }
-        
-        console.log('Ed25519 public key bytes:', publicKeyBytes.toString('hex'));
-        
-        // Convert bytes to BigInt (little-endian for Ed25519)
-        let y = 0n;
-        for (let i = 0; i < 32; i++) {
-            y |= BigInt(publicKeyBytes[i]) << BigInt(8 * i);
-        }
-        
-        // Extract sign bit from MSB of Y coordinate
-        const xSignBit = y >> 255n;
-        
-        // Clear the sign bit to get the actual Y coordinate
-        y = y & ((1n << 255n) - 1n);
-        
-        console.log(`Y coordinate: ${y.toString()}`);
-        console.log(`X sign bit: ${xSignBit.toString()}`);
-        
-        // For zkLogin, we actually don't need to recover the full X coordinate
-        // The circuit typically just needs the extended ephemeral public key components
-        // Let's extract what the circuit expects based on the nonce computation
-        
-        // According to Sui docs, nonce = ToBase64URL(Poseidon_BN254([ext_eph_pk_bigint / 2^128, ext_eph_pk_bigint % 2^128, max_epoch, jwt_randomness]).to_bytes()[len - 20..])
-        // where ext_eph_pk_bigint is the BigInt representation of ext_eph_pk
-        
-        // Convert the entire extended public key (with flag if missing, add it)
-        const extendedKeyBytes = keyBytes.length === 32 ? 
-            Buffer.concat([Buffer.from([0x00]), keyBytes]) : keyBytes;
-        
-        // Convert to BigInt (big-endian for the nonce computation)
-        let extEphPkBigInt = 0n;
-        for (let i = 0; i < extendedKeyBytes.length; i++) {
-            extEphPkBigInt = (extEphPkBigInt << 8n) | BigInt(extendedKeyBytes[i]);
-        }
-        
-        console.log(`Extended ephemeral public key as BigInt: ${extEphPkBigInt.toString()}`);
-        
-        // Split into high and low parts for Poseidon hash (as per nonce computation)
-        const highPart = extEphPkBigInt >> 128n;
-        const lowPart = extEphPkBigInt & ((1n << 128n) - 1n);
-        
-        console.log(`High part (ext_eph_pk_bigint / 2^128): ${highPart.toString()}`);
-        console.log(`Low part (ext_eph_pk_bigint % 2^128): ${lowPart.toString()}`);
-        
-        // For circuit compatibility, we'll use the split representation
-        function splitBigIntToChunks(value, chunkSize = 32, numChunks = 8) {
-            const chunks = [];
-            for (let i = 0; i < numChunks; i++) {
-                chunks.push(Number((value >> BigInt(i * chunkSize)) & ((1n << BigInt(chunkSize)) - 1n)));
-            }
-            return chunks;
+            res.write(`event: stage\ndata: ${JSON.stringify(event)}\n\n`);
         }
-        
-        const highChunks = splitBigIntToChunks(highPart, 32, 4);
-        const lowChunks = splitBigIntToChunks(lowPart, 32, 4);
-        
-        console.log('✅ Successfully extracted ephemeral key components');
-        console.log(`High chunks: [${highChunks.join(', ')}]`);
-        console.log(`Low chunks: [${lowChunks.join(', ')}]`);
-        
-        return {
-            x: highChunks,  // Using high part as X for circuit compatibility
-            y: lowChunks,   // Using low part as Y for circuit compatibility
-            xFull: highPart.toString(),
-            yFull: lowPart.toString(),
-            extendedPubKeyBigInt: extEphPkBigInt.toString(),
-            originalBytes: extendedKeyBytes.toString('hex')
-        };
-        
-    } catch (error) {
-        console.error('❌ Error extracting ephemeral key coordinates:', error.message);
-        throw new Error(`Failed to extract ephemeral key coordinates: ${error.message}`);
+    };
+
+    job.events.forEach(send);
+    if (proofJobs.isFinished(job)) {
+        return res.end();
     }
-}
 
-app.post('/prove', async (req, res) => {
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    const unsubscribe = proofJobs.subscribe(job.id, event => {
+        send(event);
+        if (proofJobs.isFinished(job)) {
+            res.end();
+        }
+    });
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Deterministic salt for a verified JWT
+app.post('/salt', requireClient(), validateBody(SALT_REQUEST), async (req, res) => {
     try {
-        const {
-            jwt,
-            extendedEphemeralPublicKey,
-            maxEpoch,
-            jwtRandomness,
-            salt,
-            keyClaimName = 'sub'
-        } = req.body;
-
-        console.log('=== zkLogin Proof Generation Started ===');
-        console.log('Request body keys:', Object.keys(req.body));
-
-        // 1. Parse and validate JWT
-        console.log('1. Parsing JWT...');
-        const parsedJWT = parseJWT(jwt);
+        const parsedJWT = parseJWT(req.body.jwt);
         const { header, payload } = parsedJWT;
-
-        // 2. Determine OAuth provider and fetch JWK
-        console.log('2. Determining OAuth provider...');
         const provider = getProviderFromIssuer(payload.iss);
-        console.log(`Provider: ${provider}`);
+        checkTokenAudience(provider, payload);
 
         if (!header.kid) {
-            throw new Error('JWT header missing required kid (key ID) field');
+            throw createError('JWT_MALFORMED', 'JWT header missing required kid (key ID) field');
         }
-
-        console.log('3. Fetching JWK...');
         const jwk = await fetchJWK(provider, header.kid);
-        const circuitJWK = jwkToCircuitFormat(jwk);
+        verifyJWTSignature(parsedJWT, jwk);
 
-        // 3. Validate input parameters
-        console.log('4. Validating inputs...');
-        
-        if (!extendedEphemeralPublicKey) {
-            throw new Error('Missing extendedEphemeralPublicKey');
-        }
+        res.json({ salt: deriveUserSalt(payload), provider });
 
-        // Handle extended ephemeral public key from frontend
-        let ephemeralPubKey;
-        if (typeof extendedEphemeralPublicKey === 'string') {
-            // Frontend sends base64 encoded extended ephemeral public key
-            console.log('Processing base64 extended ephemeral public key...');
-            
-            // Extract real Ed25519 coordinates using proper decoding
-            const ephemeralKeyCoords = extractEphemeralKeyCoordinates(extendedEphemeralPublicKey);
-            ephemeralPubKey = { 
-                x: ephemeralKeyCoords.xFull, 
-                y: ephemeralKeyCoords.yFull,
-                xChunks: ephemeralKeyCoords.x,
-                yChunks: ephemeralKeyCoords.y
-            };
-            console.log('✅ Extracted real Ed25519 coordinates from extended ephemeral public key');
-        } else if (extendedEphemeralPublicKey.x && extendedEphemeralPublicKey.y) {
-            ephemeralPubKey = extendedEphemeralPublicKey;
-        } else {
-            throw new Error('Invalid extendedEphemeralPublicKey format');
-        }
+    } catch (error) {
+        logger.error('Salt derivation failed', { err: error });
+        sendError(res, error);
+    }
+});
 
-        // Validate other required parameters
-        if (!maxEpoch) {
-            throw new Error('Missing maxEpoch');
-        }
-        if (!jwtRandomness) {
-            throw new Error('Missing jwtRandomness');
-        }
-        if (!salt) {
-            throw new Error('Missing salt');
-        }
+// Derive the zkLogin address seed and MYS address for a JWT and salt
+app.post('/address', requireClient(), validateBody(ADDRESS_REQUEST), (req, res) => {
+    try {
+        const { jwt, salt, keyClaimName = 'sub' } = req.body;
+
+        const parsedJWT = parseJWT(jwt);
+        const provider = getProviderFromIssuer(parsedJWT.payload.iss);
+        checkTokenAudience(provider, parsedJWT.payload);
 
-        // Validate decimal string inputs
         const validatedSalt = validateDecimalString(salt, 'salt');
-        const validatedJwtRandomness = validateDecimalString(jwtRandomness, 'jwtRandomness');
-        const validatedMaxEpoch = validateDecimalString(maxEpoch.toString(), 'maxEpoch');
 
-        // 4. Compute required hashes and values
-        console.log('5. Computing hashes...');
-        
-        // JWT message hash (header + "." + payload)
-        const jwtMessage = `${parsedJWT.raw.header}.${parsedJWT.raw.payload}`;
-        const jwtHash = crypto.createHash('sha256').update(jwtMessage, 'utf8').digest();
-        
-        // Subject hash
-        const subjectValue = payload[keyClaimName];
-        if (!subjectValue) {
-            throw new Error(`JWT payload missing claim: ${keyClaimName}`);
-        }
-        const subjectHash = crypto.createHash('sha256').update(subjectValue, 'utf8').digest();
-        
-        // Issuer hash
-        const issuerHash = crypto.createHash('sha256').update(payload.iss, 'utf8').digest();
-        
-        // Address seed computation (simplified for demo)
-        const addressSeed = BigInt(`0x${crypto.createHash('sha256')
-            .update(subjectValue + payload.aud + payload.iss + validatedSalt)
-            .digest('hex')}`).toString();
-
-        // Nonce from JWT
-        const nonce = payload.nonce;
-        if (!nonce) {
-            throw new Error('JWT payload missing nonce claim');
+        const claims = locateAddressClaims(parsedJWT.raw.payload, keyClaimName);
+        const addressSeed = computeAddressSeed(
+            validatedSalt,
+            keyClaimName,
+            claims.keyClaim.value,
+            claims.aud.value
+        ).toString();
+
+        res.json({
+            addressSeed,
+            address: computeMysAddress(addressSeed, claims.iss.value),
+            provider,
+            iss: claims.iss.value,
+            aud: claims.aud.value,
+            keyClaimName
+        });
+
+    } catch (error) {
+        logger.error('Address derivation failed', { err: error });
+        sendError(res, error);
+    }
+});
+
+// Public inputs of the zklogin circuit by name. Signal layout (outputs first):
+// [validProof, addrSeed, issuerHash, maxEpoch, modulus limbs..., exponent, ephemeral hi, ephemeral lo]
+function zkLoginPublicInputs(publicSignals) {
+    const exponentIndex = 4 + RSA_NUM_LIMBS;
+    return {
+        addressSeed: publicSignals[1],
+        issuerHash: publicSignals[2],
+        maxEpoch: publicSignals[3],
+        jwkModulus: publicSignals.slice(4, exponentIndex),
+        jwkExponent: publicSignals[exponentIndex],
+        ephemeralPubKey: {
+            hi: publicSignals[exponentIndex + 1],
+            lo: publicSignals[exponentIndex + 2]
         }
-        const nonceBytes = Buffer.from(nonce, 'base64url');
-
-        // JWT signature
-        const signatureBuffer = Buffer.from(parsedJWT.signature, 'base64url');
-        const signatureChunks = [];
-        for (let i = 0; i < signatureBuffer.length; i += 4) {
-            let chunk = 0;
-            for (let j = 0; j < 4 && i + j < signatureBuffer.length; j++) {
-                chunk |= (signatureBuffer[i + j] << (j * 8));
-            }
-            signatureChunks.push(chunk.toString());
+    };
+}
+
+// Trust store record (provider, kid, first / last seen) for the JWK modulus in
+// the public signals
+function findKeyForPublicSignals(publicSignals) {
+    const modulus = zkLoginPublicInputs(publicSignals).jwkModulus.join(',');
+    return jwkTrustStore.find(jwk => {
+        try {
+            return jwkToCircuitFormat(jwk).modulus.join(',') === modulus;
+        } catch (error) {
+            return false;
         }
-        while (signatureChunks.length < 64) {
-            signatureChunks.push('0');
+    });
+}
+
+// Verify a proof in the /prove response format. With extendedEphemeralPublicKey
+// the proof is only valid if it was made for that key.
+app.post('/verify', requireClient(), validateBody(VERIFY_REQUEST), async (req, res) => {
+    try {
+        const { proofPoints, publicSignals, extendedEphemeralPublicKey } = req.body;
+
+        const circuit = circuitRegistry.resolve(req.body.circuit);
+        const { findKey, publicInputs } = circuitRegistry.formatOf(circuit);
+        const proof = fromProofPoints(proofPoints);
+        const vkey = await circuitRegistry.loadVerificationKey(circuit);
+
+        if (!isDecimalArray(publicSignals, vkey.nPublic)) {
+            throw createError('PUBLIC_SIGNALS_INVALID', `publicSignals must be ${vkey.nPublic} decimal strings`);
         }
 
-        // 5. Prepare circuit inputs
-        console.log('6. Preparing circuit inputs...');
-        const circuitInputs = {
-            // Public inputs
-            addrSeed: addressSeed,
-            issuerHash: hexToFieldArray(issuerHash.toString('hex')),
-            maxEpoch: validatedMaxEpoch,
-            jwkModulus: circuitJWK.modulus,
-            jwkExponent: circuitJWK.exponent,
-            
-            // Private inputs
-            jwtHash: hexToFieldArray(jwtHash.toString('hex')),
-            jwtSignature: signatureChunks.slice(0, 64),
-            jwtNonce: hexToFieldArray(nonceBytes.toString('hex')),
-            ephemeralPubKey: [ephemeralPubKey.x, ephemeralPubKey.y],
-            jwtRandomness: validatedJwtRandomness,
-            subjectHash: hexToFieldArray(subjectHash.toString('hex'))
-        };
+        const proofVerified = await snarkjs.groth16.verify(vkey, publicSignals, proof);
 
-        // 6. Generate proof
-        console.log('7. Generating proof...');
-        
-        const wasmPath = path.join(__dirname, 'build', 'zklogin_mys_js', 'zklogin_mys.wasm');
-        const zkeyPath = path.join(__dirname, 'build', 'zklogin_mys_final.zkey');
+        // The first public signal is the circuit's validProof / isValid output
+        const validProof = publicSignals[0] === '1';
 
-        if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
-            throw new Error('Circuit build files not found. Please run: npm run setup');
+        const inputs = publicInputs ? publicInputs(publicSignals) : null;
+        let ephemeralKeyMatches = null;
+        if (extendedEphemeralPublicKey !== undefined) {
+            if (!inputs) {
+                throw createError('REQUEST_INVALID', `Circuit ${circuit.id} does not commit to an ephemeral key`);
+            }
+            const key = extractEphemeralKeyCoordinates(extendedEphemeralPublicKey);
+            ephemeralKeyMatches = key.x === inputs.ephemeralPubKey.hi && key.y === inputs.ephemeralPubKey.lo;
         }
 
-        const startTime = Date.now();
-        const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-            circuitInputs, 
-            wasmPath, 
-            zkeyPath
-        );
-        const provingTime = Date.now() - startTime;
-        
-        console.log(`Proof generated in ${provingTime}ms`);
-
-        // 7. Format response according to zkLogin standard
-        const response = {
-            isValid: true,
-            proofPoints: {
-                a: [proof.pi_a[0], proof.pi_a[1]],
-                b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
-                c: [proof.pi_c[0], proof.pi_c[1]]
+        res.json({
+            isValid: proofVerified && validProof && ephemeralKeyMatches !== false,
+            proofVerified,
+            validProof,
+            ephemeralKeyMatches,
+            circuit: circuit.id,
+            publicInputs: inputs && {
+                addressSeed: inputs.addressSeed,
+                issuerHash: inputs.issuerHash,
+                maxEpoch: inputs.maxEpoch,
+                ephemeralPubKey: inputs.ephemeralPubKey
             },
-            issBase64Details: {
-                value: payload.iss,
-                indexMod4: 0
-            },
-            headerBase64: parsedJWT.raw.header,
-            addressSeed,
-            provingTimeMs: provingTime,
-            provider,
-            keyId: header.kid,
-            publicSignals,
-            debugInfo: {
-                frontendRequest: {
-                    extendedEphemeralPublicKey: `${extendedEphemeralPublicKey.substring(0, 20)}...`,
-                    maxEpoch,
-                    hasJwtRandomness: !!jwtRandomness,
-                    hasSalt: !!salt
-                },
-                circuitInputs: Object.fromEntries(
-                    Object.entries(circuitInputs).map(([key, value]) => [
-                        key, 
-                        Array.isArray(value) ? `[${value.length} elements]` : value
-                    ])
-                )
-            }
-        };
+            jwk: findKey ? findKey(publicSignals) : null
+        });
 
-        console.log('=== zkLogin Proof Generation Complete ===');
-        res.json(response);
+    } catch (error) {
+        logger.error('Proof verification failed', { err: error });
+        sendError(res, error, { isValid: false });
+    }
+});
 
+// Circuits this service proves for, and the one used by default
+app.get('/circuits', (req, res) => {
+    res.json({
+        defaultCircuit: circuitRegistry.defaultId,
+        circuits: circuitRegistry.list().map(circuit => ({
+            id: circuit.id,
+            name: circuit.name,
+            version: circuit.version,
+            format: circuit.format,
+            bindsJwt: circuitRegistry.formatOf(circuit).bindsJwt,
+            ready: circuitRegistry.isReady(circuit)
+        }))
+    });
+});
+
+// Groth16 verification key for a circuit (?circuit=<name>[@<version>], default circuit otherwise)
+app.get('/circuit/vkey', async (req, res) => {
+    try {
+        const requested = typeof req.query.circuit === 'string' ? req.query.circuit : undefined;
+        res.json(await circuitRegistry.loadVerificationKey(circuitRegistry.resolve(requested)));
     } catch (error) {
-        console.error('Proof generation error:', error);
-        res.status(400).json({
-            isValid: false,
-            error: error.message,
-            details: error.stack ? error.stack.split('\n').slice(0, 5) : undefined
-        });
+        sendError(res, error);
     }
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+});
+
 // Health check endpoint with provider status
 app.get('/health', async (req, res) => {
     const providerStatus = {};
     
-    for (const [provider, config] of Object.entries(OAUTH_PROVIDERS)) {
+    await Promise.all(providerRegistry.list().map(async config => {
         try {
-            const response = await axios.get(config.oidcConfig, { timeout: 5000 });
-            providerStatus[provider] = {
+            const discovery = await providerRegistry.discover(config.id, { refresh: true });
+            providerStatus[config.id] = {
+                name: config.name,
+                issuer: config.issuer,
                 status: 'online',
-                jwksUri: response.data.jwks_uri || config.jwksUri
+                jwksUri: discovery.jwks_uri
             };
         } catch (error) {
-            providerStatus[provider] = {
+            providerStatus[config.id] = {
+                name: config.name,
+                issuer: config.issuer,
                 status: 'offline',
+                jwksUri: config.jwksUri,
                 error: error.message
             };
         }
-    }
+    }));
 
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         providers: providerStatus,
+        prover: {
+            ...proverStatus(PROVER_CONFIG),
+            defaultCircuit: circuitRegistry.defaultId,
+            circuits: Object.fromEntries(circuitRegistry.list()
+                .map(circuit => [circuit.id, circuitRegistry.isReady(circuit) ? 'ready' : 'missing_artifacts'])),
+            pool: proverPool.stats(),
+            jobs: proofJobs.stats(),
+            cache: proofCache.stats()
+        },
+        jwkTrust: {
+            mode: JWK_TRUST_MODE,
+            ...jwkTrustStore.stats()
+        },
+        epoch: epochProvider ? { maxEpochAhead: MAX_EPOCH_AHEAD, ...epochProvider.stats() } : null,
         cacheStats: {
-            cachedJWKs: jwkCache.size,
+            jwks: jwksCache.stats(),
             memoryUsage: process.memoryUsage()
         }
     });
 });
 
-// Debug endpoint for JWK inspection
-app.get('/debug/jwk/:provider/:keyId?', async (req, res) => {
+// One key (with its circuit encoding), or the provider's current key set
+async function describeProviderKeys(provider, keyId) {
+    const providerConfig = providerRegistry.get(provider);
+    if (!providerConfig) {
+        throw createError('PROVIDER_UNKNOWN', `Unknown provider: ${provider}`);
+    }
+    if (keyId) {
+        const jwk = await fetchJWK(provider, keyId);
+        return { provider, jwk, circuitFormat: jwkToCircuitFormat(jwk) };
+    }
+
+    const jwksUri = await providerRegistry.resolveJwksUri(provider);
+    const { keys, fetchedAt, expiresAt } = await jwksCache.getKeySet(provider);
+    return {
+        provider: { ...serializeProvider(providerConfig), resolvedJwksUri: jwksUri },
+        jwks: { keys },
+        fetchedAt: new Date(fetchedAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+// Provider config as JSON (issuer templates as their source pattern)
+function serializeProvider({ issuerPattern, ...config }) {
+    return { ...config, issuerPattern: issuerPattern ? issuerPattern.source : null };
+}
+
+// Path, size and modification time of a build artifact
+function describeArtifact(file) {
+    const stat = fs.existsSync(file) ? fs.statSync(file) : null;
+    return {
+        path: path.relative(__dirname, file),
+        exists: stat !== null,
+        size: stat ? stat.size : undefined,
+        modifiedAt: stat ? stat.mtime.toISOString() : undefined
+    };
+}
+
+// Bearer token check for /admin endpoints. On the internal admin listener the
+// token is optional; on the public port the endpoints are hidden without one.
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        if (req.app === adminApp) {
+            return next();
+        }
+        return sendError(res, createError('ADMIN_DISABLED', 'Admin endpoints are disabled (set ADMIN_TOKEN or ADMIN_PORT)'));
+    }
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    // Compare digests so the check takes the same time for any token length
+    const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    const given = crypto.createHash('sha256').update(token).digest();
+    if (!crypto.timingSafeEqual(expected, given)) {
+        return sendError(res, createError('ADMIN_TOKEN_INVALID', 'Invalid admin token'));
+    }
+    next();
+}
+
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+// JWKS, proof cache and replay store state
+adminRouter.get('/caches', async (req, res) => {
+    res.json({
+        jwks: jwksCache.stats(),
+        proofs: proofCache.stats(),
+        replay: await replayStore.stats()
+    });
+});
+
+// Refetch provider key sets now: { provider? } (default: every provider).
+// Discovery documents are dropped first so jwks_uri changes are picked up.
+adminRouter.post('/caches/refresh', async (req, res) => {
+    const { provider } = req.body || {};
+    if (provider !== undefined && !providerRegistry.get(provider)) {
+        return sendError(res, createError('PROVIDER_UNKNOWN', `Unknown provider: ${provider}`));
+    }
+    const ids = provider ? [provider] : providerRegistry.list().map(config => config.id);
+
+    providerRegistry.clearDiscoveryCache();
+    const results = {};
+    await Promise.all(ids.map(async id => {
+        try {
+            results[id] = { refreshed: true, ...await jwksCache.forceRefresh(id) };
+        } catch (error) {
+            results[id] = { refreshed: false, error: error.message };
+        }
+    }));
+    logger.info('Forced JWKS refresh', { providers: ids });
+    res.json({ providers: results, timestamp: new Date().toISOString() });
+});
+
+// Clear caches: { caches?: ['jwks', 'discovery', 'proofs'] } (default: all)
+const ADMIN_CACHES = {
+    jwks: () => jwksCache.clear(),
+    discovery: () => providerRegistry.clearDiscoveryCache(),
+    proofs: () => proofCache.clear()
+};
+
+adminRouter.post('/caches/clear', (req, res) => {
+    const { caches: requested = Object.keys(ADMIN_CACHES) } = req.body || {};
+    // A single cache name is accepted as well as a list
+    const caches = typeof requested === 'string' ? [requested] : requested;
+    if (!Array.isArray(caches)) {
+        return sendError(res, createError('REQUEST_INVALID', 'caches must be a cache name or an array of cache names'));
+    }
+    const unknown = caches.filter(name => !Object.prototype.hasOwnProperty.call(ADMIN_CACHES, name));
+    if (unknown.length > 0) {
+        return sendError(res, createError(
+            'CACHE_UNKNOWN',
+            `Unknown caches: ${unknown.join(', ')}, expected any of ${Object.keys(ADMIN_CACHES).join(', ')}`
+        ));
+    }
+    caches.forEach(name => ADMIN_CACHES[name]());
+    logger.info('Cleared caches', { caches });
+    res.json({ cleared: caches, timestamp: new Date().toISOString() });
+});
+
+// Prover pool and unfinished proof jobs
+adminRouter.get('/queue', (req, res) => {
+    res.json({
+        pool: proverPool.stats(),
+        jobs: {
+            ...proofJobs.stats(),
+            unfinished: proofJobs.list({ unfinished: true })
+        }
+    });
+});
+
+// Configured OIDC providers
+adminRouter.get('/providers', (req, res) => {
+    res.json({ providers: providerRegistry.list().map(serializeProvider) });
+});
+
+// API clients with their limits and today's proof usage, plus the number of
+// active rate-limit buckets
+adminRouter.get('/clients', (req, res) => {
+    const proofsToday = clientProofQuota.usageToday();
+    res.json({
+        enabled: clientRegistry.enabled,
+        clients: clientRegistry.list().map(client => ({
+            ...client,
+            proofsToday: proofsToday[client.id] || 0
+        })),
+        rateLimitBuckets: {
+            clients: clientRateLimiter.stats().buckets,
+            subjects: subjectRateLimiter.stats().buckets
+        }
+    });
+});
+
+// JWK trust store: pinned keys and the history of seen kids
+adminRouter.get('/jwks', (req, res) => {
+    res.json({
+        mode: JWK_TRUST_MODE,
+        ...jwkTrustStore.stats(),
+        keys: jwkTrustStore.list(req.query.provider)
+    });
+});
+
+// Pin public keys for a provider: { provider, keys: [jwk, ...] } (a JWKS document plus provider)
+adminRouter.post('/jwks/import', (req, res) => {
     try {
-        const { provider, keyId } = req.params;
-        
-        if (keyId) {
-            const jwk = await fetchJWK(provider, keyId);
-            const circuitFormat = jwkToCircuitFormat(jwk);
-            res.json({ jwk, circuitFormat });
-        } else {
-            const providerConfig = OAUTH_PROVIDERS[provider];
-            if (!providerConfig) {
-                return res.status(404).json({ error: 'Provider not found' });
+        const { provider, keys } = req.body;
+        if (!providerRegistry.get(provider)) {
+            throw createError('PROVIDER_UNKNOWN', `Unknown provider: ${provider}`);
+        }
+        if (!Array.isArray(keys) || keys.length === 0) {
+            throw createError('JWKS_INVALID', 'keys must be a non-empty array of JWKs');
+        }
+        for (const jwk of keys) {
+            if (!jwk || typeof jwk.kid !== 'string' || jwk.kid.length === 0) {
+                throw createError('JWKS_INVALID', 'Every JWK needs a kid');
+            }
+            if (jwk.d !== undefined) {
+                throw createError('JWKS_INVALID', `JWK ${jwk.kid} contains private key material`);
+            }
+            try {
+                validateJWK(jwk);
+                jwkToCircuitFormat(jwk);
+            } catch (error) {
+                throw createError('JWKS_INVALID', `JWK ${jwk.kid}: ${error.message}`);
             }
-            
-            const response = await axios.get(providerConfig.jwksUri);
-            res.json({
-                provider: providerConfig,
-                jwks: response.data
-            });
         }
+
+        const imported = jwkTrustStore.importKeys(provider, keys);
+        logger.info('Pinned JWKs', { provider, kids: imported });
+        res.json({ provider, imported, mode: JWK_TRUST_MODE });
+
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        logger.error('JWK import failed', { err: error });
+        sendError(res, error);
     }
 });
 
-// Clear JWK cache endpoint
-app.post('/debug/clear-cache', (req, res) => {
-    jwkCache.clear();
-    res.json({ message: 'JWK cache cleared', timestamp: new Date().toISOString() });
+// JWK inspection: a provider's key set, or one key with its circuit encoding
+adminRouter.get('/jwks/:provider/:keyId?', async (req, res) => {
+    try {
+        res.json(await describeProviderKeys(req.params.provider, req.params.keyId));
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
+// Artifacts and loaded verification key of each circuit, and the prover backend
+adminRouter.get('/circuit', (req, res) => {
+    res.json({
+        defaultCircuit: circuitRegistry.defaultId,
+        circuits: circuitRegistry.list().map(circuit => {
+            const vkey = circuitRegistry.loadedVerificationKey(circuit);
+            return {
+                id: circuit.id,
+                format: circuit.format,
+                ready: circuitRegistry.isReady(circuit),
+                artifacts: {
+                    wasm: describeArtifact(circuit.wasmPath),
+                    zkey: describeArtifact(circuit.zkeyPath),
+                    verificationKey: circuit.verificationKeyPath ? describeArtifact(circuit.verificationKeyPath) : null
+                },
+                loadedVerificationKey: vkey
+                    ? { protocol: vkey.protocol, curve: vkey.curve, nPublic: vkey.nPublic }
+                    : null
+            };
+        }),
+        prover: proverStatus(PROVER_CONFIG)
+    });
+});
+
+// Unknown routes, unparsable bodies and unexpected errors as catalogued JSON
+// errors (Express would otherwise answer with an HTML page and a stack trace)
+function notFound(req, res) {
+    sendError(res, createError('NOT_FOUND', `No endpoint ${req.method} ${req.path}`));
+}
+
+function handleUncaughtError(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, createError('REQUEST_TOO_LARGE', 'Request body too large'));
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, createError('REQUEST_INVALID', 'Request body is not valid JSON', {
+            errors: [{ field: 'body', message: 'must be valid JSON' }]
+        }));
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return sendError(res, createError('REQUEST_INVALID', error.message));
+    }
+    logger.error('Unhandled request error', { err: error });
+    sendError(res, error);
+}
+
+// Internal admin listener (ADMIN_PORT), or /admin on the public port
+const adminApp = ADMIN_PORT !== null ? express() : null;
+if (adminApp) {
+    adminApp.use(trackRequest);
+    adminApp.use(express.json({ limit: '1mb' }));
+    adminApp.use('/admin', adminRouter);
+    adminApp.use(notFound);
+    adminApp.use(handleUncaughtError);
+} else {
+    app.use('/admin', adminRouter);
+}
+
+app.use(notFound);
+app.use(handleUncaughtError);
+
 app.listen(PORT, () => {
-    console.log(`🚀 zkLogin proving server running on port ${PORT}`);
-    console.log(`📚 Available endpoints:`);
-    console.log(`   POST /prove - Generate zkLogin proof`);
-    console.log(`   GET  /health - Server and provider status`);
-    console.log(`   GET  /debug/jwk/:provider/:keyId? - JWK inspection`);
-    console.log(`   POST /debug/clear-cache - Clear JWK cache`);
-    console.log(`🔒 Supported OAuth providers: ${Object.keys(OAUTH_PROVIDERS).join(', ')}`);
-});
\ No newline at end of file
+    logger.info('zkLogin proving server started', {
+        port: Number(PORT),
+        proverBackend: proverStatus(PROVER_CONFIG).effectiveBackend,
+        proverWorkers: PROVER_WORKERS,
+        proverQueueSize: PROVER_QUEUE_SIZE,
+        circuits: circuitRegistry.list().map(circuit => circuit.id),
+        defaultCircuit: circuitRegistry.defaultId,
+        providers: providerRegistry.list().map(config => config.id),
+        jwkTrustMode: JWK_TRUST_MODE,
+        jwkTrustStoreFile: process.env.JWK_TRUST_STORE_FILE,
+        apiClients: clientRegistry.list().map(client => client.id),
+        adminPort: ADMIN_PORT || undefined,
+        maxEpochAhead: epochProvider ? MAX_EPOCH_AHEAD : undefined
+    });
+    if (!clientRegistry.enabled) {
+        logger.warn('No API clients configured (API_CLIENTS_FILE / API_CLIENTS): the API is open to any caller and origin');
+    }
+    if (!epochProvider) {
+        logger.warn('MYS_RPC_URL not set: maxEpoch is not checked against the current epoch');
+    }
+    logger.debug('Available endpoints', {
+        endpoints: [
+            'POST /prove - Generate zkLogin proof',
+            'POST /prove/jobs - Start an asynchronous proof job',
+            'GET  /prove/jobs/:id - Proof job status and result',
+            'GET  /prove/jobs/:id/events - Proof job progress (Server-Sent Events)',
+            'POST /salt - Deterministic user salt for a verified JWT',
+            'POST /address - Derive zkLogin address seed and MYS address',
+            'POST /verify - Verify a zkLogin proof',
+            'GET  /circuits - Available circuits and the default',
+            'GET  /circuit/vkey - Groth16 verification key (?circuit=)',
+            'GET  /health - Server and provider status',
+            'GET  /metrics - Prometheus metrics'
+        ],
+        adminEndpoints: [
+            'GET  /admin/caches - JWKS, proof cache and replay store state',
+            'POST /admin/caches/refresh - Refetch provider JWKS',
+            'POST /admin/caches/clear - Clear caches',
+            'GET  /admin/queue - Prover pool and unfinished proof jobs',
+            'GET  /admin/providers - Configured OIDC providers',
+            'GET  /admin/clients - API clients, limits and proofs used today',
+            'GET  /admin/jwks - JWK trust store',
+            'POST /admin/jwks/import - Pin provider JWKs',
+            'GET  /admin/jwks/:provider/:keyId? - JWK inspection',
+            'GET  /admin/circuit - Circuit artifacts per circuit and prover backend'
+        ]
+    });
+});
+
+if (adminApp) {
+    adminApp.listen(ADMIN_PORT, ADMIN_HOST, () => {
+        logger.info('Admin server started', { host: ADMIN_HOST, port: ADMIN_PORT, tokenRequired: ADMIN_TOKEN !== null });
+    });
+}
\ No newline at end of file
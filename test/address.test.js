@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeAddressSeed, computeMysAddress } = require('../lib/address');
+
+// Vector from the zkLogin SDK (jwtToAddress) for the example JWT
+const CLAIMS = {
+    iss: 'https://oauth.sui.io',
+    aud: 'test',
+    sub: '8c2d7d66-87af-41fa-b6fc-63e8bb71fab4'
+};
+const SALT = '248191903847969014646285995941615069143';
+const ADDRESS_SEED = '12656230168928029081140975011196959912747887311733023189420004426319528372266';
+const ADDRESS = '0x22cebcf68a9d75d508d50d553dd6bae378ef51177a3a6325b749e57e3ba237d6';
+
+test('matches the SDK address seed vector', () => {
+    const seed = computeAddressSeed(SALT, 'sub', CLAIMS.sub, CLAIMS.aud);
+    assert.strictEqual(seed.toString(), ADDRESS_SEED);
+});
+
+test('matches the SDK address vector', () => {
+    assert.strictEqual(computeMysAddress(ADDRESS_SEED, CLAIMS.iss), ADDRESS);
+});
+
+test('gives a different seed for another salt, key claim value or aud', () => {
+    assert.notStrictEqual(computeAddressSeed('1', 'sub', CLAIMS.sub, CLAIMS.aud).toString(), ADDRESS_SEED);
+    assert.notStrictEqual(computeAddressSeed(SALT, 'sub', 'other', CLAIMS.aud).toString(), ADDRESS_SEED);
+    assert.notStrictEqual(computeAddressSeed(SALT, 'sub', CLAIMS.sub, 'other').toString(), ADDRESS_SEED);
+});
+
+test('derives Google addresses from the full issuer URL', () => {
+    assert.strictEqual(
+        computeMysAddress(ADDRESS_SEED, 'accounts.google.com'),
+        computeMysAddress(ADDRESS_SEED, 'https://accounts.google.com')
+    );
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { locateClaim, claimBase64Details, locateZkLoginClaims, locateAddressClaims } = require('../lib/claims');
+
+// Payload of the zkLogin SDK example JWT
+const PAYLOAD = {
+    sub: '8c2d7d66-87af-41fa-b6fc-63e8bb71fab4',
+    aud: 'test',
+    nbf: 1697465445,
+    iss: 'https://oauth.sui.io',
+    exp: 1697551845,
+    nonce: 'hTPpgF7XAKbW37rEUS6pEVZqmoI'
+};
+const PAYLOAD_BASE64 = Buffer.from(JSON.stringify(PAYLOAD)).toString('base64url');
+
+function encode(json) {
+    return Buffer.from(json).toString('base64url');
+}
+
+// Decode a claimBase64Details value the way the circuit does: indexMod4 padding
+// characters align it to the original base64 grouping
+function decodeDetails({ value, indexMod4 }) {
+    return Buffer.from('A'.repeat(indexMod4) + value, 'base64url').toString('latin1');
+}
+
+test('locates each claim with its delimiter and terminator', () => {
+    const claims = locateZkLoginClaims(PAYLOAD_BASE64);
+    const json = JSON.stringify(PAYLOAD);
+
+    assert.deepStrictEqual(claims.iss, { name: 'iss', value: PAYLOAD.iss, index: 75, length: 30 });
+    assert.deepStrictEqual(claims.keyClaim, { name: 'sub', value: PAYLOAD.sub, index: 0, length: 46 });
+    for (const claim of Object.values(claims)) {
+        const text = json.slice(claim.index, claim.index + claim.length);
+        assert.match(text, new RegExp(`^[,{]"${claim.name}":"${claim.value}"[,}]$`));
+    }
+});
+
+test('gives base64 substrings and indexMod4 that decode to the claims', () => {
+    const claims = locateZkLoginClaims(PAYLOAD_BASE64);
+
+    assert.deepStrictEqual(claimBase64Details(PAYLOAD_BASE64, claims.iss), {
+        value: 'CJpc3MiOiJodHRwczovL29hdXRoLnN1aS5pbyIs',
+        indexMod4: 1
+    });
+    assert.strictEqual(claimBase64Details(PAYLOAD_BASE64, claims.nonce).indexMod4, 2);
+    for (const claim of Object.values(claims)) {
+        const details = claimBase64Details(PAYLOAD_BASE64, claim);
+        assert.ok(decodeDetails(details).includes(`"${claim.name}":"${claim.value}"`), claim.name);
+        assert.ok(PAYLOAD_BASE64.includes(details.value));
+    }
+});
+
+test('supports other key claims', () => {
+    const payload = encode('{"iss":"https://issuer.example","aud":"client","email":"user@example.com","sub":"1"}');
+    const claims = locateAddressClaims(payload, 'email');
+    assert.strictEqual(claims.keyClaim.value, 'user@example.com');
+    assert.strictEqual(claims.keyClaim.name, 'email');
+});
+
+test('rejects escaped characters in claim values', () => {
+    const bytes = Buffer.from('{"iss":"https:\\/\\/issuer.example","aud":"a","sub":"s"}');
+    assert.throws(() => locateClaim(bytes, 'iss'), { code: 'JWT_CLAIMS_UNSUPPORTED', message: /escaped/ });
+});
+
+test('rejects missing, non-string and over-long claims', () => {
+    assert.throws(() => locateZkLoginClaims(encode('{"iss":"i","aud":"a","sub":"s"}')), {
+        code: 'JWT_CLAIMS_UNSUPPORTED',
+        message: /missing claim: nonce/
+    });
+    assert.throws(() => locateAddressClaims(encode('{"iss":"i","aud":["a","b"],"sub":"s"}')), {
+        code: 'JWT_CLAIMS_UNSUPPORTED',
+        message: /aud must be a JSON string/
+    });
+    assert.throws(() => locateAddressClaims(encode(`{"iss":"${'i'.repeat(129)}","aud":"a","sub":"s"}`)), {
+        code: 'JWT_CLAIMS_UNSUPPORTED',
+        message: /exceeds 128 bytes/
+    });
+    assert.throws(() => locateAddressClaims(PAYLOAD_BASE64, 'k'.repeat(33)), { code: 'JWT_CLAIMS_UNSUPPORTED' });
+});
+
+test('rejects claims that are not compact JSON', () => {
+    assert.throws(() => locateAddressClaims(encode('{"iss": "i","aud":"a","sub":"s"}')), {
+        code: 'JWT_CLAIMS_UNSUPPORTED'
+    });
+});
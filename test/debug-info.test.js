@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { proofDebugInfo } = require('../lib/debug-info');
+
+const circuitInputs = { maxEpoch: '10', jwtContent: ['1', '2', '3'] };
+
+test('truncates a base64 extended ephemeral public key', () => {
+    const body = { extendedEphemeralPublicKey: 'AK2kZ3Vz5o7mQ0FbB1kOvmXy0rL1d9UG7cB5lbMr6xWb', maxEpoch: 10, jwtRandomness: '1' };
+    const info = proofDebugInfo(body, circuitInputs);
+    assert.strictEqual(info.frontendRequest.extendedEphemeralPublicKey, 'AK2kZ3Vz5o7mQ0FbB1kO...');
+    assert.deepStrictEqual(info.circuitInputs, { maxEpoch: '10', jwtContent: '[3 elements]' });
+});
+
+test('reports whether salt and jwtRandomness were sent', () => {
+    const body = { extendedEphemeralPublicKey: 'AAAA', maxEpoch: '10', salt: '1' };
+    const info = proofDebugInfo(body, circuitInputs);
+    assert.strictEqual(info.frontendRequest.hasSalt, true);
+    assert.strictEqual(info.frontendRequest.hasJwtRandomness, false);
+});
+
+test('leaves the salt and jwtRandomness inputs out', () => {
+    const inputs = { ...circuitInputs, salt: '987654321', jwtRandomness: '123456789' };
+    const info = proofDebugInfo({ extendedEphemeralPublicKey: 'AAAA', maxEpoch: 10 }, inputs);
+    assert.deepStrictEqual(Object.keys(info.circuitInputs), ['maxEpoch', 'jwtContent']);
+    assert.ok(!JSON.stringify(info).includes('987654321'));
+    assert.ok(!JSON.stringify(info).includes('123456789'));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { checkMaxEpoch, createRpcEpochProvider } = require('../lib/epoch');
+
+const EPOCH_MS = 86400000;
+const CURRENT = { epoch: 100, epochStartMs: 1700000000000, epochDurationMs: EPOCH_MS };
+
+test('accepts maxEpoch from the current epoch up to maxAhead epochs later', () => {
+    assert.deepStrictEqual(checkMaxEpoch('100', CURRENT, 30), {
+        fromEpoch: 100,
+        toEpoch: 100,
+        maxAllowedEpoch: 130,
+        expiresAt: new Date(CURRENT.epochStartMs + EPOCH_MS).toISOString()
+    });
+    assert.strictEqual(checkMaxEpoch('130', CURRENT, 30).expiresAt, new Date(CURRENT.epochStartMs + 31 * EPOCH_MS).toISOString());
+});
+
+test('rejects a maxEpoch before the current epoch', () => {
+    assert.throws(() => checkMaxEpoch('99', CURRENT, 30), { code: 'MAX_EPOCH_EXPIRED' });
+});
+
+test('rejects a maxEpoch more than maxAhead epochs ahead', () => {
+    assert.throws(() => checkMaxEpoch('131', CURRENT, 30), { code: 'MAX_EPOCH_TOO_FAR' });
+    assert.throws(() => checkMaxEpoch('18446744073709551615', CURRENT, 30), { code: 'MAX_EPOCH_TOO_FAR' });
+});
+
+test('leaves expiresAt out when the epoch timing is unknown', () => {
+    const window = checkMaxEpoch('101', { epoch: 100, epochStartMs: null, epochDurationMs: null }, 30);
+    assert.strictEqual(window.expiresAt, null);
+});
+
+// Local JSON-RPC endpoint answering the system state query
+async function startRpcServer(t) {
+    const state = { epoch: '100', fail: false, requests: 0 };
+    const server = http.createServer((req, res) => {
+        state.requests++;
+        if (state.fail) {
+            res.writeHead(500);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: { epoch: state.epoch } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    state.url = `http://127.0.0.1:${server.address().port}`;
+    return state;
+}
+
+test('reads the current epoch over JSON-RPC and caches it', async t => {
+    const state = await startRpcServer(t);
+    const provider = createRpcEpochProvider({ url: state.url, cacheMs: 60000 });
+
+    assert.strictEqual((await provider.getCurrentEpoch()).epoch, 100);
+    state.epoch = '101';
+    assert.strictEqual((await provider.getCurrentEpoch()).epoch, 100);
+    assert.strictEqual(state.requests, 1);
+});
+
+test('fails with EPOCH_UNAVAILABLE when the RPC has never answered', async t => {
+    const state = await startRpcServer(t);
+    state.fail = true;
+    const provider = createRpcEpochProvider({ url: state.url, cacheMs: 60000 });
+
+    await assert.rejects(provider.getCurrentEpoch(), { code: 'EPOCH_UNAVAILABLE' });
+    assert.strictEqual(provider.stats().fetchErrors, 1);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createJwkTrustStore } = require('../lib/jwk-store');
+
+function jwk(kid, n) {
+    return { kty: 'RSA', kid, n, e: 'AQAB' };
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwk-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'jwks.json');
+}
+
+test('pins imported keys and records live keys unpinned', () => {
+    const store = createJwkTrustStore();
+    store.importKeys('google', [jwk('pinned', 'n1')]);
+    store.recordSeen('google', [jwk('live', 'n2')]);
+
+    assert.deepStrictEqual(store.getPinned('google', 'pinned'), jwk('pinned', 'n1'));
+    assert.strictEqual(store.getPinned('google', 'live'), null);
+    assert.strictEqual(store.getPinned('apple', 'pinned'), null);
+    assert.deepStrictEqual(store.stats().providers.google, { pinned: 1, modulusChanged: 0, total: 2 });
+});
+
+test('keeps replaced live key material in the kid history', () => {
+    const store = createJwkTrustStore();
+    store.recordSeen('google', [jwk('k1', 'old')]);
+    store.recordSeen('google', [jwk('k1', 'new')]);
+
+    const [record] = store.list('google').google;
+    assert.strictEqual(record.jwk.n, 'new');
+    assert.strictEqual(record.history.length, 1);
+    assert.strictEqual(record.history[0].jwk.n, 'old');
+    assert.ok(record.modulusChangedAt);
+
+    // Proofs made with the old key are still traced to the kid
+    const found = store.find(key => key.n === 'old');
+    assert.strictEqual(found.kid, 'k1');
+    assert.strictEqual(found.jwk.n, 'old');
+    assert.ok(found.replacedAt);
+    assert.strictEqual(store.find(key => key.n === 'new').replacedAt, undefined);
+});
+
+test('never replaces pinned key material with what the live JWKS serves', () => {
+    const store = createJwkTrustStore();
+    store.importKeys('google', [jwk('k1', 'pinned')]);
+    store.recordSeen('google', [jwk('k1', 'served')]);
+
+    assert.strictEqual(store.getPinned('google', 'k1').n, 'pinned');
+    assert.strictEqual(store.list('google').google[0].history, undefined);
+});
+
+test('moves the old key to the history when an import changes the modulus', () => {
+    const store = createJwkTrustStore();
+    store.importKeys('google', [jwk('k1', 'first')]);
+    store.importKeys('google', [jwk('k1', 'second')]);
+    store.importKeys('google', [jwk('k1', 'second')]);
+
+    const [record] = store.list('google').google;
+    assert.strictEqual(record.jwk.n, 'second');
+    assert.deepStrictEqual(record.history.map(entry => entry.jwk.n), ['first']);
+    assert.strictEqual(store.stats().providers.google.modulusChanged, 1);
+});
+
+test('persists keys and history to the store file', t => {
+    const file = tempFile(t);
+    const store = createJwkTrustStore({ file });
+    store.importKeys('google', [jwk('k1', 'first')]);
+    store.importKeys('google', [jwk('k1', 'second')]);
+
+    const reloaded = createJwkTrustStore({ file });
+    assert.strictEqual(reloaded.getPinned('google', 'k1').n, 'second');
+    assert.strictEqual(reloaded.find(key => key.n === 'first').kid, 'k1');
+    assert.deepStrictEqual(reloaded.list(), store.list());
+});
+
+test('rejects store files of another version', t => {
+    const file = tempFile(t);
+    fs.writeFileSync(file, JSON.stringify({ version: 2, providers: {} }));
+    assert.throws(() => createJwkTrustStore({ file }), /expected version 1/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createJwksCache } = require('../lib/jwks-cache');
+
+const MINUTE = 60000;
+
+// Local JWKS endpoint; tests change what it serves through state
+async function startJwksServer(t) {
+    const state = { keys: [{ kid: 'k1' }], cacheControl: 'max-age=300', status: 200, requests: 0 };
+    const server = http.createServer((req, res) => {
+        state.requests++;
+        if (state.status !== 200) {
+            res.writeHead(state.status);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': state.cacheControl });
+        res.end(JSON.stringify({ keys: state.keys }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    state.uri = `http://127.0.0.1:${server.address().port}/certs`;
+    return state;
+}
+
+function createCache(t, state, options = {}) {
+    const cache = createJwksCache({
+        resolveUri: async () => state.uri,
+        maxStaleMs: 10 * MINUTE,
+        kidMissCooldownMs: MINUTE,
+        ...options
+    });
+    t.after(() => cache.clear());
+    return cache;
+}
+
+test('caches the key set for the Cache-Control max-age', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const state = await startJwksServer(t);
+    const fetched = [];
+    const cache = createCache(t, state, { onFetch: (provider, keys) => fetched.push([provider, keys.length]) });
+
+    assert.deepStrictEqual(await cache.getKey('google', 'k1'), { kid: 'k1' });
+    t.mock.timers.tick(299000);
+    await cache.getKey('google', 'k1');
+    assert.strictEqual(state.requests, 1);
+
+    t.mock.timers.tick(2000);
+    await cache.getKey('google', 'k1');
+    assert.strictEqual(state.requests, 2);
+    assert.deepStrictEqual(fetched, [['google', 1], ['google', 1]]);
+    assert.strictEqual(cache.stats().providers.google.hits, 3);
+});
+
+test('keeps key sets at least a minute when the IdP sends no-cache', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const state = await startJwksServer(t);
+    state.cacheControl = 'no-cache';
+    const cache = createCache(t, state);
+
+    await cache.getKey('google', 'k1');
+    t.mock.timers.tick(MINUTE - 1000);
+    await cache.getKey('google', 'k1');
+    assert.strictEqual(state.requests, 1);
+});
+
+test('refetches for an unknown kid at most once per cooldown', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const state = await startJwksServer(t);
+    const cache = createCache(t, state);
+
+    await cache.getKey('google', 'k1');
+    // Within the cooldown of the first fetch: no refetch
+    await assert.rejects(cache.getKey('google', 'k2'), { code: 'JWK_NOT_FOUND' });
+    assert.strictEqual(state.requests, 1);
+
+    // After the cooldown the rotated key set is fetched once
+    state.keys = [{ kid: 'k1' }, { kid: 'k2' }];
+    t.mock.timers.tick(MINUTE);
+    assert.deepStrictEqual(await cache.getKey('google', 'k2'), { kid: 'k2' });
+    assert.strictEqual(state.requests, 2);
+
+    await assert.rejects(cache.getKey('google', 'random-1'), { code: 'JWK_NOT_FOUND' });
+    await assert.rejects(cache.getKey('google', 'random-2'), { code: 'JWK_NOT_FOUND' });
+    assert.strictEqual(state.requests, 2);
+
+    const stats = cache.stats().providers.google;
+    assert.strictEqual(stats.kidMisses, 4);
+    assert.strictEqual(stats.missRefetchesThrottled, 3);
+});
+
+test('serves the last key set while the IdP is down, up to maxStaleMs', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const state = await startJwksServer(t);
+    const cache = createCache(t, state);
+
+    await cache.getKey('google', 'k1');
+    state.status = 503;
+
+    t.mock.timers.tick(5 * MINUTE + 1000);
+    assert.deepStrictEqual(await cache.getKey('google', 'k1'), { kid: 'k1' });
+    assert.strictEqual(cache.stats().providers.google.staleServed, 1);
+    assert.strictEqual(cache.stats().providers.google.stale, true);
+
+    t.mock.timers.tick(10 * MINUTE);
+    await assert.rejects(cache.getKey('google', 'k1'), { code: 'JWK_UNAVAILABLE' });
+});
+
+test('rejects responses without a keys array', async t => {
+    const state = await startJwksServer(t);
+    state.keys = undefined;
+    const cache = createCache(t, state);
+
+    await assert.rejects(cache.getKeySet('google'), { code: 'JWK_UNAVAILABLE', message: /missing keys array/ });
+    assert.strictEqual(cache.stats().providers.google.fetchErrors, 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeNonce, NONCE_LENGTH } = require('../lib/nonce');
+const { parseExtendedEphemeralPublicKey } = require('../lib/ephemeral');
+
+// Vector from the zkLogin SDK / prover documentation: Ed25519 key (flag 0x00),
+// maxEpoch 10 and this randomness give the nonce in the example JWT
+const EXTENDED_KEY = 'ALnG7hYw7z5xEUSmSNsGu7IoT3J0z77lP/zuUDzBpJIA';
+const MAX_EPOCH = '10';
+const RANDOMNESS = '100681567828351849884072155819400689117';
+const NONCE = 'hTPpgF7XAKbW37rEUS6pEVZqmoI';
+
+test('splits the extended ephemeral key into 128-bit halves', () => {
+    const key = parseExtendedEphemeralPublicKey(EXTENDED_KEY);
+    assert.strictEqual(key.scheme, 'ED25519');
+    assert.strictEqual(key.hi.toString(), '246940082969849085383790451076452760498');
+    assert.strictEqual(key.lo.toString(), '53581632732676729784937937984538579456');
+});
+
+test('matches the SDK nonce vector', () => {
+    const { hi, lo } = parseExtendedEphemeralPublicKey(EXTENDED_KEY);
+    const nonce = computeNonce(hi, lo, MAX_EPOCH, RANDOMNESS);
+    assert.strictEqual(nonce, NONCE);
+    assert.strictEqual(nonce.length, NONCE_LENGTH);
+});
+
+test('commits to maxEpoch and randomness', () => {
+    const { hi, lo } = parseExtendedEphemeralPublicKey(EXTENDED_KEY);
+    assert.notStrictEqual(computeNonce(hi, lo, '11', RANDOMNESS), NONCE);
+    assert.notStrictEqual(computeNonce(hi, lo, MAX_EPOCH, '1'), NONCE);
+});
+
+test('rejects an ephemeral key without its flag byte', () => {
+    const rawKey = Buffer.from(EXTENDED_KEY, 'base64').subarray(1).toString('base64');
+    assert.throws(() => parseExtendedEphemeralPublicKey(rawKey), /no signature scheme flag/);
+});
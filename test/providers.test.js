@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PROVIDERS, loadProviderConfigs, createProviderRegistry } = require('../lib/providers');
+
+const MICROSOFT = {
+    name: 'Microsoft',
+    issuer: 'https://login.microsoftonline.com/{tid}/v2.0',
+    oidcConfig: 'https://login.microsoftonline.com/common/v2.0/.well-known/openid-configuration',
+    audiences: ['ms-client']
+};
+
+function registry(audiences = { google: ['client-a', 'client-b'] }) {
+    return createProviderRegistry(loadProviderConfigs({
+        json: JSON.stringify({ ...DEFAULT_PROVIDERS, microsoft: MICROSOFT }),
+        audiences: JSON.stringify(audiences)
+    }));
+}
+
+test('matches issuers exactly, by alias or by template', () => {
+    const providers = registry();
+    assert.strictEqual(providers.findByIssuer('https://accounts.google.com').id, 'google');
+    assert.strictEqual(providers.findByIssuer('accounts.google.com').id, 'google');
+    assert.strictEqual(providers.findByIssuer('https://login.microsoftonline.com/9188040d-6c67-4c5b/v2.0').id, 'microsoft');
+
+    assert.strictEqual(providers.findByIssuer('https://accounts.google.com/'), null);
+    assert.strictEqual(providers.findByIssuer('https://accounts.google.com.evil.example'), null);
+    assert.strictEqual(providers.findByIssuer('https://login.microsoftonline.com/a/b/v2.0'), null);
+    assert.strictEqual(providers.findByIssuer(undefined), null);
+});
+
+test('maps aliases to the canonical issuer and keeps template issuers per tenant', () => {
+    const providers = registry();
+    const tenant = 'https://login.microsoftonline.com/tenant-1/v2.0';
+    assert.strictEqual(providers.canonicalIssuer('accounts.google.com'), 'https://accounts.google.com');
+    assert.strictEqual(providers.canonicalIssuer(tenant), tenant);
+    assert.strictEqual(providers.canonicalIssuer('https://unknown.example'), null);
+});
+
+test('accepts a string aud on the allowlist', () => {
+    assert.strictEqual(registry().checkAudience('google', { aud: 'client-b' }), 'client-b');
+});
+
+test('rejects an aud that is not on the allowlist', () => {
+    assert.throws(() => registry().checkAudience('google', { aud: 'someone-else' }), { code: 'AUDIENCE_NOT_ALLOWED' });
+    assert.throws(() => registry().checkAudience('google', { aud: [] }), { code: 'AUDIENCE_NOT_ALLOWED' });
+    assert.throws(() => registry().checkAudience('google', {}), { code: 'AUDIENCE_NOT_ALLOWED' });
+});
+
+test('requires every aud in an array to be allowed and azp for several', () => {
+    const providers = registry();
+    assert.strictEqual(providers.checkAudience('google', { aud: ['client-a'] }), 'client-a');
+    assert.strictEqual(providers.checkAudience('google', { aud: ['client-a', 'client-b'], azp: 'client-b' }), 'client-b');
+    assert.throws(() => providers.checkAudience('google', { aud: ['client-a', 'untrusted'], azp: 'client-a' }), {
+        code: 'AUDIENCE_NOT_ALLOWED'
+    });
+    assert.throws(() => providers.checkAudience('google', { aud: ['client-a', 'client-b'] }), {
+        code: 'AUDIENCE_NOT_ALLOWED'
+    });
+});
+
+test('rejects tokens for providers without audiences', () => {
+    assert.throws(() => registry().checkAudience('apple', { aud: 'client-a' }), { code: 'AUDIENCE_NOT_CONFIGURED' });
+});
+
+test('validates provider configs', () => {
+    assert.throws(() => loadProviderConfigs({ json: '{}' }), /non-empty object/);
+    assert.throws(() => loadProviderConfigs({ audiences: '{"nobody":["x"]}' }), /unknown provider: nobody/);
+    assert.throws(() => createProviderRegistry({ plain: { issuer: 'http://idp.example' } }), /must use https/);
+    assert.throws(() => createProviderRegistry({ tenants: { issuer: 'https://idp.example/{tid}' } }), /explicit oidcConfig/);
+    assert.throws(() => createProviderRegistry({ Bad: { issuer: 'https://idp.example' } }), /Invalid provider id/);
+});
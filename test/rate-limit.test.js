@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createDailyQuota } = require('../lib/rate-limit');
+
+const POLICY = { burst: 2, perMinute: 6 }; // One token every 10 seconds
+const DAY_MS = 86400000;
+
+test('allows a burst, then refuses until a token refills', () => {
+    const limiter = createRateLimiter();
+    const now = 1000000;
+
+    assert.strictEqual(limiter.take('client', POLICY, now).remaining, 1);
+    assert.strictEqual(limiter.take('client', POLICY, now).remaining, 0);
+
+    const refused = limiter.take('client', POLICY, now);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.retryAfterSeconds, 10);
+    assert.strictEqual(refused.resetSeconds, 20);
+
+    assert.strictEqual(limiter.take('client', POLICY, now + 5000).allowed, false);
+    assert.strictEqual(limiter.take('client', POLICY, now + 10000).allowed, true);
+});
+
+test('never refills past the burst', () => {
+    const limiter = createRateLimiter();
+    limiter.take('client', POLICY, 0);
+    const later = limiter.take('client', POLICY, DAY_MS);
+    assert.strictEqual(later.allowed, true);
+    assert.strictEqual(later.remaining, POLICY.burst - 1);
+});
+
+test('keeps a bucket per key', () => {
+    const limiter = createRateLimiter();
+    const policy = { burst: 1, perMinute: 1 };
+    assert.strictEqual(limiter.take('a', policy, 0).allowed, true);
+    assert.strictEqual(limiter.take('a', policy, 0).allowed, false);
+    assert.strictEqual(limiter.take('b', policy, 0).allowed, true);
+    assert.deepStrictEqual(limiter.stats(), { buckets: 2 });
+});
+
+test('counts proofs up to the daily quota', () => {
+    const quota = createDailyQuota();
+    const now = 5 * DAY_MS + 1000;
+
+    assert.deepStrictEqual(quota.consume('client', 2, now), { allowed: true, limit: 2, remaining: 1, resetSeconds: 86399 });
+    assert.strictEqual(quota.consume('client', 2, now).allowed, true);
+    const refused = quota.consume('client', 2, now);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.remaining, 0);
+    assert.deepStrictEqual(quota.usageToday(now), { client: 2 });
+});
+
+test('resets quotas at UTC midnight', () => {
+    const quota = createDailyQuota();
+    const beforeMidnight = 6 * DAY_MS - 1;
+
+    quota.consume('client', 1, beforeMidnight);
+    assert.strictEqual(quota.consume('client', 1, beforeMidnight).allowed, false);
+    assert.strictEqual(quota.consume('client', 1, beforeMidnight + 1).allowed, true);
+    assert.deepStrictEqual(quota.usageToday(beforeMidnight + 1), { client: 1 });
+    assert.deepStrictEqual(quota.usageToday(beforeMidnight + 1 + DAY_MS), {});
+});
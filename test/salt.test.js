@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMasterSeed, deriveSalt } = require('../lib/salt');
+const { DEFAULT_PROVIDERS, createProviderRegistry } = require('../lib/providers');
+
+const FIELD_MODULUS = BigInt('21888242871839275222246405745257275088548364400416711914789998217496698495617');
+const SEED = parseMasterSeed('11'.repeat(32));
+const ISS = 'https://accounts.google.com';
+
+test('derives the same salt for the same user', () => {
+    assert.strictEqual(deriveSalt(SEED, ISS, 'client', 'user'), deriveSalt(SEED, ISS, 'client', 'user'));
+});
+
+test('derives field elements that differ per issuer, client, user and seed', () => {
+    const salt = deriveSalt(SEED, ISS, 'client', 'user');
+    assert.ok(salt > 0n && salt < FIELD_MODULUS);
+    assert.notStrictEqual(deriveSalt(SEED, 'https://appleid.apple.com', 'client', 'user'), salt);
+    assert.notStrictEqual(deriveSalt(SEED, ISS, 'other', 'user'), salt);
+    assert.notStrictEqual(deriveSalt(SEED, ISS, 'client', 'other'), salt);
+    assert.notStrictEqual(deriveSalt(parseMasterSeed('22'.repeat(32)), ISS, 'client', 'user'), salt);
+});
+
+test('does not confuse fields across the (iss, aud, sub) boundaries', () => {
+    assert.notStrictEqual(deriveSalt(SEED, ISS, 'a', 'bc'), deriveSalt(SEED, ISS, 'ab', 'c'));
+});
+
+test('gives issuer aliases the salt of the canonical issuer', () => {
+    const providers = createProviderRegistry(DEFAULT_PROVIDERS);
+    const alias = providers.canonicalIssuer('accounts.google.com');
+    assert.strictEqual(alias, ISS);
+    assert.strictEqual(deriveSalt(SEED, alias, 'client', 'user'), deriveSalt(SEED, ISS, 'client', 'user'));
+});
+
+test('requires a hex master seed of at least 32 bytes', () => {
+    assert.throws(() => parseMasterSeed('zz'.repeat(32)), /hex string/);
+    assert.throws(() => parseMasterSeed('11'.repeat(31)), /at least 32 bytes/);
+    assert.strictEqual(parseMasterSeed('ab'.repeat(40)).length, 40);
+});